@@ -0,0 +1,92 @@
+/**
+ * Permission catalog.
+ *
+ * Each key is a named permission checked by requirePermission() in
+ * middleware/auth.js. Admin accounts get their permissions from an editable
+ * Role document (models/Role.js); superadmins implicitly hold every permission.
+ *
+ * assignable: false — reserved for superadmins, cannot be granted to a role
+ *                     (otherwise an admin could escalate their own access).
+ */
+const PERMISSIONS = {
+  // Users
+  'users.view':             { group: 'users',      description: 'View worker accounts, stats and earnings' },
+  'users.viewBank':         { group: 'users',      description: 'View worker bank details' },
+  'users.viewLoginHistory': { group: 'users',      description: 'View login history of an account' },
+  'users.approve':          { group: 'users',      description: 'Approve or reject pending signups' },
+  'users.invite':           { group: 'users',      description: 'Send, resend and revoke invitations' },
+  'users.manageAccess':     { group: 'users',      description: 'Revoke, restore, delete and bulk-approve accounts' },
+  'users.unlock':           { group: 'users',      description: 'Unlock accounts locked after failed logins', assignable: false },
+  'users.promote':          { group: 'users',      description: 'Promote or demote admins', assignable: false },
+  'users.impersonate':      { group: 'users',      description: 'Sign in as a worker to see what they see', assignable: false },
+
+  // Profiles (client accounts)
+  'profiles.view':          { group: 'profiles',   description: 'View client profiles' },
+  'profiles.create':        { group: 'profiles',   description: 'Create client profiles' },
+  'profiles.update':        { group: 'profiles',   description: 'Edit client profiles' },
+  'profiles.delete':        { group: 'profiles',   description: 'Archive and restore client profiles' },
+  'profiles.purge':         { group: 'profiles',   description: 'Permanently delete archived profiles', assignable: false },
+  'profiles.assign':        { group: 'profiles',   description: 'Assign and reassign workers to profiles' },
+  'profiles.credentials':   { group: 'profiles',   description: 'Set and rotate client login credentials' },
+
+  // Entries
+  'entries.view':           { group: 'entries',    description: 'View worker entries' },
+  'entries.vet':            { group: 'entries',    description: 'Vet (approve/adjust) entries' },
+  'entries.delete':         { group: 'entries',    description: 'Delete entries' },
+
+  // Payments
+  'payments.view':          { group: 'payments',   description: 'View weekly payments' },
+  'payments.approve':       { group: 'payments',   description: 'Approve or deny weekly payments' },
+  'payments.edit':          { group: 'payments',   description: 'Edit weekly payment details and extra bonus' },
+  'payments.markPaid':      { group: 'payments',   description: 'Mark weeks and bonuses as paid' },
+  'payments.generate':      { group: 'payments',   description: 'Generate weekly payment records' },
+
+  // Compensation settings
+  'bonuses.manage':         { group: 'payments',   description: 'Add and reset extra bonuses' },
+  'benchmarks.manage':      { group: 'payments',   description: 'Create and edit benchmarks' },
+
+  // Platform
+  'stats.view':             { group: 'platform',   description: 'View dashboards, rankings and system stats' },
+  'auditLog.view':          { group: 'platform',   description: 'View and export the audit log' },
+  'roles.manage':           { group: 'platform',   description: 'Manage roles and permissions', assignable: false },
+  'apiKeys.manage':         { group: 'platform',   description: 'Create and revoke API keys', assignable: false },
+  'settings.manage':        { group: 'platform',   description: 'Change system settings', assignable: false },
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const ASSIGNABLE_PERMISSIONS = ALL_PERMISSIONS.filter((p) => PERMISSIONS[p].assignable !== false);
+
+/**
+ * Permissions of the built-in "admin" role — matches what admins could do
+ * before permissions existed (everything under /api/admin and /api/payments).
+ */
+const DEFAULT_ADMIN_PERMISSIONS = [
+  'users.view',
+  'users.viewBank',
+  'users.viewLoginHistory',
+  'users.approve',
+  'users.invite',
+  'profiles.view',
+  'profiles.create',
+  'profiles.update',
+  'profiles.delete',
+  'profiles.assign',
+  'profiles.credentials',
+  'entries.view',
+  'entries.vet',
+  'entries.delete',
+  'payments.view',
+  'payments.approve',
+  'payments.edit',
+  'payments.markPaid',
+  'payments.generate',
+  'stats.view',
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ASSIGNABLE_PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+};
@@ -2,9 +2,18 @@ const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Entry = require('../models/Entry');
 const Benchmark = require('../models/Benchmark');
+const Client = require('../models/Client');
+const DailyStat = require('../models/DailyStat');
+const SystemSetting = require('../models/SystemSetting');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const mongoose = require('mongoose');
 const WeeklyPayment = require('../models/Payment');
+const LoginEvent = require('../models/LoginEvent');
+const AssignmentHistory = require('../models/AssignmentHistory');
+const vault = require('../utils/vault');
+const { getCapacityImpact, assertCapacity, evaluateReassignment, addTemporaryAssignment } = require('../utils/assignmentRules');
+const { hasPermission } = require('../middleware/auth');
+const { sendEntryReviewEmail } = require('../utils/sendEmail');
 
 const calculateEarnings = (hours, performanceScore, benchmark) => {
   if (benchmark && typeof benchmark.calculateEarnings === 'function') {
@@ -14,6 +23,34 @@ const calculateEarnings = (hours, performanceScore, benchmark) => {
   return hours * hourlyRate;
 };
 
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Profile filter shared by list, ranking and client reports:
+ *   clientId — a client id, or "none" for profiles without a client
+ *   platform — exact match, case-insensitive
+ *   tags     — comma-separated; profiles must carry all of them
+ */
+const buildProfileFilter = ({ clientId, platform, tags } = {}) => {
+  const filter = {};
+  if (clientId) filter.client = clientId === 'none' ? null : clientId;
+  if (platform) filter.platform = { $regex: `^${escapeRegex(platform.trim())}$`, $options: 'i' };
+  if (tags) {
+    const list = tags.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+    if (list.length > 0) filter.tags = { $all: list };
+  }
+  return filter;
+};
+
+/**
+ * ?window=7d|30d|90d → the rollingStats key precomputed by DailyStat
+ */
+const STATS_WINDOWS = { '7d': 'd7', '30d': 'd30', '90d': 'd90' };
+
+const assertClientExists = async (clientId) => {
+  if (clientId && !(await Client.exists({ _id: clientId }))) throw new ApiError('Client not found', 404);
+};
+
 // ---------------------------------------------------------------------------
 // User management
 // ---------------------------------------------------------------------------
@@ -22,18 +59,37 @@ const approveUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
   if (!user) throw new ApiError('User not found', 404);
   if (user.isApproved) throw new ApiError('User is already approved', 400);
+  if (user.role === 'admin' && req.user.role !== 'superadmin') throw new ApiError('Only a superadmin can approve admin accounts', 403);
+
+  // Unverified addresses may be typos or fakes — make the admin confirm explicitly
+  if (!user.emailVerified && req.body.confirmUnverified !== true) {
+    return res.status(409).json({
+      success: false,
+      requiresConfirmation: true,
+      message: `${user.email} has not been verified. Resend with confirmUnverified=true to approve anyway.`,
+      data: { id: user._id, email: user.email, name: user.name, emailVerified: false },
+    });
+  }
+
   user.isApproved = true;
   user.status = 'approved';
   await user.save();
   res.json({
     success: true,
     message: 'User approved successfully',
-    data: { id: user._id, email: user.email, name: user.name, phone: user.phone, isApproved: user.isApproved },
+    data: { id: user._id, email: user.email, name: user.name, phone: user.phone, isApproved: user.isApproved, emailVerified: user.emailVerified },
   });
 });
 
 const getPendingUsers = asyncHandler(async (req, res) => {
-  const users = await User.find({ isApproved: false, role: 'user' })
+  // Admin signups too (SSO can map a new account to admin), but not revoked admins
+  const query = { isApproved: false, $or: [{ role: 'user' }, { role: 'admin', status: 'pending' }] };
+  if (req.query.emailVerified !== undefined) {
+    // Treat missing field (pre-verification accounts) as unverified
+    query.emailVerified = req.query.emailVerified === 'true' ? true : { $ne: true };
+  }
+
+  const users = await User.find(query)
     .select('-bankDetails -password')
     .sort({ createdAt: -1 })
     .allowDiskUse(true);
@@ -41,11 +97,12 @@ const getPendingUsers = asyncHandler(async (req, res) => {
 });
 
 const getAllUsers = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 25, role, isApproved, search } = req.query;
+  const { page = 1, limit = 25, role, isApproved, emailVerified, search } = req.query;
   const query = {};
 
   if (role) query.role = role;
   if (isApproved !== undefined) query.isApproved = isApproved === 'true';
+  if (emailVerified !== undefined) query.emailVerified = emailVerified === 'true' ? true : { $ne: true };
   if (search) {
     query.$or = [
       { name:  { $regex: search, $options: 'i' } },
@@ -62,7 +119,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
       // FIX: profilePhoto removed — was storing base64 (up to 5MB per user)
       // which caused every users-list query to transfer hundreds of MB and
       // hang indefinitely. Avatars now use name initials instead.
-      .select('name email role status isApproved bankDetails phone extraBonus extraBonusReason createdAt weekStartDay')
+      .select('name email role status isApproved emailVerified bankDetails phone extraBonus extraBonusReason createdAt weekStartDay')
       .sort({ createdAt: 1 })
       .skip((parsedPage - 1) * parsedLimit)
       .limit(parsedLimit)
@@ -71,10 +128,12 @@ const getAllUsers = asyncHandler(async (req, res) => {
     User.countDocuments(query),
   ]);
 
-  const normalised = users.map((u) => ({
-    ...u,
-    status: u.status || (u.isApproved ? 'approved' : 'pending'),
-  }));
+  const canViewBank = await hasPermission(req, 'users.viewBank');
+  const normalised = users.map((u) => {
+    const row = { ...u, status: u.status || (u.isApproved ? 'approved' : 'pending') };
+    if (!canViewBank) delete row.bankDetails;
+    return row;
+  });
 
   res.json({
     success: true,
@@ -93,27 +152,61 @@ const getAllUsers = asyncHandler(async (req, res) => {
 });
 
 const getUserById = asyncHandler(async (req, res) => {
+  const canViewBank = await hasPermission(req, 'users.viewBank');
   const user = await User.findById(req.params.id)
-    .select('-password')
+    .select(canViewBank ? '-password' : '-password -bankDetails')
     .populate('assignedProfiles');
   if (!user) throw new ApiError('User not found', 404);
   res.json({ success: true, data: user });
 });
 
+const getUserLoginHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, outcome } = req.query;
+  const user = await User.findById(req.params.id).select('name email failedLoginAttempts lockUntil lockCount lastLogin');
+  if (!user) throw new ApiError('User not found', 404);
+
+  // Include attempts against the email before/without a user match (unknown_email)
+  const query = { $or: [{ user: user._id }, { user: null, email: user.email }] };
+  if (outcome) query.outcome = outcome;
+
+  const [events, total] = await Promise.all([
+    LoginEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean(),
+    LoginEvent.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    count: events.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: {
+      user: { id: user._id, name: user.name, email: user.email, lastLogin: user.lastLogin, isLocked: user.isLocked, lockUntil: user.lockUntil, failedLoginAttempts: user.failedLoginAttempts },
+      events,
+    },
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Profile management
 // ---------------------------------------------------------------------------
 
 const createProfile = asyncHandler(async (req, res) => {
-  const { email, password, fullName, state, country, accountBearerName, defaultWorker, secondWorker } = req.body;
+  const { email, password, fullName, state, country, accountBearerName, defaultWorker, secondWorker, client, platform, tags } = req.body;
 
   if (await Profile.findOne({ email })) throw new ApiError('Profile with this email already exists', 400);
+  await assertClientExists(client);
 
   for (const [label, workerId] of [['defaultWorker', defaultWorker], ['secondWorker', secondWorker]]) {
     if (workerId) {
       const worker = await User.findById(workerId);
       if (!worker) throw new ApiError(`Worker (${label}) not found`, 404);
       if (worker.role !== 'user') throw new ApiError(`${label} must have role "user"`, 400);
+      await assertCapacity(worker, null);
     }
   }
 
@@ -122,12 +215,24 @@ const createProfile = asyncHandler(async (req, res) => {
   }
 
   const profilePassword = password || Math.random().toString(36).slice(-8) + 'A1!';
-  const profile = await Profile.create({
+  const profile = new Profile({
     email, password: profilePassword, fullName, state, country,
     accountBearerName,
+    client:   client || null,
+    platform: platform || '',
+    tags:     tags || [],
     defaultWorker: defaultWorker || null,
     secondWorker:  secondWorker  || null,
   });
+  // Keep a retrievable copy for the assigned workers when the vault is set up
+  if (vault.isConfigured()) profile.setCredentials({ password: profilePassword }, req.user._id);
+  await profile.save();
+
+  for (const [slot, workerId] of [['default', defaultWorker], ['second', secondWorker]]) {
+    if (workerId) {
+      await AssignmentHistory.recordPermanentChange({ profile, slot, toWorker: workerId, changedBy: req.user._id, reason: 'Profile created' });
+    }
+  }
 
   if (defaultWorker) await User.findByIdAndUpdate(defaultWorker, { $addToSet: { assignedProfiles: profile._id } });
   if (secondWorker)  await User.findByIdAndUpdate(secondWorker,  { $addToSet: { assignedProfiles: profile._id } });
@@ -140,17 +245,43 @@ const createProfile = asyncHandler(async (req, res) => {
 });
 
 const updateProfile = asyncHandler(async (req, res) => {
-  const profile = await Profile.findById(req.params.id);
+  const profile = await Profile.findById(req.params.id).select('+encryptedCredentials');
   if (!profile) throw new ApiError('Profile not found', 404);
-  const allowed = ['email', 'password', 'fullName', 'state', 'country', 'accountBearerName', 'defaultWorker', 'secondWorker', 'isActive'];
+  await AssignmentHistory.ensureSeeded(profile);
+  const before = { default: profile.defaultWorker, second: profile.secondWorker };
+
+  await assertClientExists(req.body.client);
+
+  const allowed = ['email', 'password', 'fullName', 'state', 'country', 'accountBearerName', 'defaultWorker', 'secondWorker', 'isActive', 'client', 'platform', 'tags'];
   allowed.forEach((field) => { if (req.body[field] !== undefined) profile[field] = req.body[field]; });
+
+  for (const [slot, field] of [['default', 'defaultWorker'], ['second', 'secondWorker']]) {
+    const workerId = profile[field];
+    if (!workerId || workerId.toString() === before[slot]?.toString()) continue;
+    const worker = await User.findById(workerId);
+    if (!worker) throw new ApiError(`Worker (${field}) not found`, 404);
+    await assertCapacity(worker, profile._id);
+  }
+
+  if (req.body.password !== undefined && vault.isConfigured()) {
+    profile.setCredentials({ password: req.body.password }, req.user._id);
+  }
   await profile.save();
+
+  for (const [slot, field] of [['default', 'defaultWorker'], ['second', 'secondWorker']]) {
+    await AssignmentHistory.recordPermanentChange({
+      profile, slot, fromWorker: before[slot], toWorker: profile[field], changedBy: req.user._id, reason: 'Profile edited',
+    });
+  }
   res.json({ success: true, message: 'Profile updated', data: profile });
 });
 
 const getProfiles = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, sort = '-createdAt', search, workerId } = req.query;
-  const query = {};
+  const { page = 1, limit = 20, sort = '-createdAt', search, workerId, archived } = req.query;
+  // archived: omitted → active only, 'true' → archived only, 'all' → both
+  const query = buildProfileFilter(req.query);
+  if (archived === 'true')     query.archivedAt = { $ne: null };
+  else if (archived !== 'all') query.archivedAt = null;
 
   if (search) {
     query.$or = [
@@ -168,6 +299,7 @@ const getProfiles = asyncHandler(async (req, res) => {
   }
 
   const profiles = await Profile.find(query)
+    .populate('client', 'name')
     .populate('defaultWorker', 'name email phone')
     .populate('secondWorker',  'name email phone')
     .populate('temporaryAssignments.worker', 'name email phone')
@@ -180,9 +312,46 @@ const getProfiles = asyncHandler(async (req, res) => {
   res.json({ success: true, count: profiles.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: profiles });
 });
 
+/**
+ * @desc    Profiles whose health score is at risk (or, with status=warning,
+ *          at risk or warning), worst first. Scores are refreshed by the
+ *          profile-health job.
+ * @route   GET /api/admin/profiles/at-risk
+ * @access  Admin (profiles.view)
+ */
+const getAtRiskProfiles = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'at_risk' } = req.query;
+
+  const query = {
+    ...buildProfileFilter(req.query),
+    archivedAt: null,
+    'health.status': status === 'warning' ? { $in: ['at_risk', 'warning'] } : 'at_risk',
+  };
+
+  const [profiles, total, settings] = await Promise.all([
+    Profile.find(query)
+      .select('fullName email client platform tags defaultWorker secondWorker health')
+      .populate('client', 'name')
+      .populate('defaultWorker', 'name email phone')
+      .populate('secondWorker',  'name email phone')
+      .sort({ 'health.score': 1, 'health.daysSinceLastEntry': -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Profile.countDocuments(query),
+    SystemSetting.getSettings(),
+  ]);
+
+  res.json({
+    success: true, count: profiles.length, total, page: parseInt(page), pages: Math.ceil(total / limit),
+    data: profiles,
+    thresholds: settings.healthThresholds,
+  });
+});
+
 const getProfileById = asyncHandler(async (req, res) => {
   const profile = await Profile.findById(req.params.id)
     .select('+password')
+    .populate('client', 'name contactName contactEmail')
     .populate('defaultWorker', 'name email phone')
     .populate('secondWorker',  'name email phone')
     .populate('temporaryAssignments.worker', 'name email phone');
@@ -196,41 +365,287 @@ const getProfileById = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { profile, entries } });
 });
 
+/**
+ * @desc    Set or rotate a profile's stored client credentials. Fields left
+ *          out keep their current value (unless replace: true); every call
+ *          re-encrypts under a new data key and bumps credentialsVersion.
+ * @route   PUT /api/admin/profile/:id/credentials
+ * @access  Admin (profiles.credentials)
+ */
+const rotateProfileCredentials = asyncHandler(async (req, res) => {
+  if (!vault.isConfigured()) throw new ApiError('Credential vault is not configured', 503);
+
+  const profile = await Profile.findById(req.params.id).select('+encryptedCredentials');
+  if (!profile) throw new ApiError('Profile not found', 404);
+
+  const changes = {};
+  ['password', 'backupCodes', 'securityAnswers'].forEach((field) => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+  if (Object.keys(changes).length === 0) {
+    throw new ApiError('Provide at least one of password, backupCodes or securityAnswers', 400);
+  }
+
+  try {
+    profile.setCredentials(changes, req.user._id, { replace: req.body.replace === true });
+  } catch (error) {
+    console.error(`[Vault] Failed to update credentials for profile ${profile._id}:`, error.message);
+    throw new ApiError('Stored credentials could not be decrypted. Resend with "replace": true to overwrite them.', 500);
+  }
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Profile credentials updated',
+    data: {
+      profileId:            profile._id,
+      credentialsVersion:   profile.credentialsVersion,
+      credentialsUpdatedAt: profile.credentialsUpdatedAt,
+      updatedFields:        Object.keys(changes),
+    },
+  });
+});
+
+/**
+ * @desc    Archive a profile (replaces the old cascading hard delete).
+ *          Entries are kept; the profile disappears from lists.
+ * @route   DELETE /api/admin/profile/:id
+ * @access  Admin (profiles.delete)
+ */
+const archiveProfile = asyncHandler(async (req, res) => {
+  const profile = await Profile.findById(req.params.id);
+  if (!profile) throw new ApiError('Profile not found', 404);
+  if (profile.archivedAt) throw new ApiError('Profile is already archived', 400);
+
+  profile.archivedAt    = new Date();
+  profile.archivedBy    = req.user._id;
+  profile.archiveReason = req.body.reason || '';
+  await profile.save();
+
+  res.json({ success: true, message: 'Profile archived. Its entries are kept and it can be restored.', data: profile });
+});
+
+/**
+ * @desc    Restore an archived profile
+ * @route   PUT /api/admin/profile/:id/restore
+ * @access  Admin (profiles.delete)
+ */
+const restoreProfile = asyncHandler(async (req, res) => {
+  const profile = await Profile.findById(req.params.id);
+  if (!profile) throw new ApiError('Profile not found', 404);
+  if (!profile.archivedAt) throw new ApiError('Profile is not archived', 400);
+
+  profile.archivedAt    = null;
+  profile.archivedBy    = null;
+  profile.archiveReason = '';
+  await profile.save();
+
+  res.json({ success: true, message: 'Profile restored', data: profile });
+});
+
 // ---------------------------------------------------------------------------
 // Entry vetting
 // ---------------------------------------------------------------------------
 
-const vetEntry = asyncHandler(async (req, res) => {
-  const { entryId, adminTime, adminQuality, adminNotes } = req.body;
-  const entry = await Entry.findById(entryId);
-  if (!entry) throw new ApiError('Entry not found', 404);
+/**
+ * Rebuild the weekly payment for the week an entry falls in. Called whenever
+ * an entry moves into or out of approved. Resolves to 'recalculated',
+ * 'locked' (the week is already approved or paid and was left alone) or
+ * 'failed', so the admin can be told.
+ */
+const refreshWeeklyPayment = async (entry) => {
+  try {
+    const { locked } = await WeeklyPayment.recalculateForEntry(entry);
+    return locked ? 'locked' : 'recalculated';
+  } catch (err) {
+    console.error('Failed to auto-generate weekly payment:', err);
+    return 'failed';
+  }
+};
+
+const paymentNotes = {
+  locked: ' — the week\'s payment is already approved or paid and was not changed; settle the difference separately',
+  failed: ' — the weekly payment could not be recalculated',
+};
+
+const sendBackMessages = { rejected: 'Entry rejected', needs_changes: 'Changes requested from the worker' };
+
+// Approve an entry (or re-vet an approved one), applying any overrides
+const applyApproval = (entry, { adminTime, adminQuality, adminNotes }, userId) => {
+  if (!entry.canTransitionTo('approved')) {
+    throw new ApiError(`A ${entry.status.replace('_', ' ')} entry cannot be approved`, 400);
+  }
 
   if (adminTime    !== undefined) entry.adminTime    = adminTime;
   if (adminQuality !== undefined) entry.adminQuality = adminQuality;
   if (adminNotes   !== undefined) entry.adminNotes   = adminNotes;
 
-  entry.adminApproved = true;
-  entry.approvedBy    = req.user._id;
-  entry.approvedAt    = new Date();
+  entry.status       = 'approved';
+  entry.reviewReason = '';
+  entry.reviewedBy   = userId;
+  entry.reviewedAt   = new Date();
+  entry.approvedBy   = userId;
+  entry.approvedAt   = new Date();
+  entry.trackRevision('vetting', userId);
+};
+
+// Move an entry to rejected / needs_changes. Returns whether it was approved
+// (and so whether its week's payment has to be rebuilt).
+const applySendBack = (entry, status, { reason, adminNotes }, userId) => {
+  if (!entry.canTransitionTo(status)) {
+    throw new ApiError(`A ${entry.status.replace('_', ' ')} entry cannot be moved to ${status.replace('_', ' ')}`, 400);
+  }
+
+  const wasApproved = entry.status === 'approved';
+  entry.status       = status;
+  entry.reviewReason = reason;
+  entry.reviewedBy   = userId;
+  entry.reviewedAt   = new Date();
+  if (adminNotes !== undefined) entry.adminNotes = adminNotes;
+  entry.trackRevision('vetting', userId);
+  return wasApproved;
+};
+
+// Tell the worker their entry was sent back. Fire and forget.
+const notifyEntryReview = async (entry) => {
+  const [worker, profile] = await Promise.all([
+    User.findById(entry.worker).select('name email'),
+    Profile.findById(entry.profile).select('fullName'),
+  ]);
+  if (worker && worker.email && profile) {
+    sendEntryReviewEmail(worker, entry, profile)
+      .catch((error) => console.error(`Failed to send entry ${entry.status} email:`, error.message));
+  }
+};
+
+const vetEntry = asyncHandler(async (req, res) => {
+  const { entryId, ...overrides } = req.body;
+  const entry = await Entry.findById(entryId);
+  if (!entry) throw new ApiError('Entry not found', 404);
+
+  applyApproval(entry, overrides, req.user._id);
   await entry.save();
 
-  try {
-    const worker = await User.findById(entry.worker).select('weekStartDay');
-    const weekStartDay = worker ? (worker.weekStartDay ?? 2) : 2;
-    const { weekStart, weekEnd } = WeeklyPayment.getWeekBoundaries(new Date(entry.date), weekStartDay);
-    const { weekNumber, year }   = WeeklyPayment.getWeekNumberAndYear(weekStart);
-    const benchmark = (await Benchmark.getCurrentBenchmark()) || (await Benchmark.getLatestBenchmark());
-    const stats = await Entry.aggregate([
-      { $match: { worker: entry.worker, date: { $gte: weekStart, $lte: weekEnd }, adminApproved: true } },
-      { $group: { _id: null, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, entryCount: { $sum: 1 }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } },
-    ]);
-    const weekStats = stats[0] || { totalHours: 0, avgQuality: 0, entryCount: 0, avgTime: 0 };
-    await WeeklyPayment.createOrUpdateWeeklyPayment(entry.worker.toString(), weekStart, weekEnd, weekNumber, year, weekStats, benchmark, weekStartDay);
-  } catch (err) {
-    console.error('Failed to auto-generate weekly payment:', err);
+  const payment = await refreshWeeklyPayment(entry);
+
+  res.json({ success: true, message: `Entry vetted successfully${paymentNotes[payment] || ''}`, payment, data: entry });
+});
+
+/**
+ * Move an entry to rejected / needs_changes with a reason and tell the worker.
+ * If it was approved, its week's payment is rebuilt without it — unless that
+ * payment is already approved or paid, which the response reports.
+ */
+const sendBackEntry = (status) => asyncHandler(async (req, res) => {
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) throw new ApiError('Entry not found', 404);
+
+  const wasApproved = applySendBack(entry, status, req.body, req.user._id);
+  await entry.save();
+
+  const payment = wasApproved ? await refreshWeeklyPayment(entry) : null;
+  await notifyEntryReview(entry);
+
+  res.json({ success: true, message: `${sendBackMessages[status]}${paymentNotes[payment] || ''}`, payment, data: entry });
+});
+
+/**
+ * @desc    Reject an entry (final). A reason is required.
+ * @route   PUT /api/admin/entries/:id/reject
+ * @access  Admin (entries.vet)
+ */
+const rejectEntry = sendBackEntry('rejected');
+
+/**
+ * @desc    Send an entry back to the worker for changes. A reason is required;
+ *          the worker edits it and resubmits.
+ * @route   PUT /api/admin/entries/:id/request-changes
+ * @access  Admin (entries.vet)
+ */
+const requestEntryChanges = sendBackEntry('needs_changes');
+
+const BULK_ACTIONS = { approve: 'approved', reject: 'rejected', request_changes: 'needs_changes' };
+
+/**
+ * @desc    Vet many entries at once. Each decision is applied on its own —
+ *          one failing does not stop the rest — and every affected
+ *          worker-week payment is rebuilt once at the end. Weeks already
+ *          approved or paid are skipped (result.payment === 'locked').
+ *          Body: { decisions: [{ entryId, action: approve|reject|request_changes,
+ *                  adminTime?, adminQuality?, adminNotes?, reason? }] }
+ * @route   POST /api/admin/vet-entries/bulk
+ * @access  Admin (entries.vet)
+ */
+const bulkVetEntries = asyncHandler(async (req, res) => {
+  const { decisions } = req.body;
+
+  const entries = await Entry.find({ _id: { $in: decisions.map((d) => d.entryId) } });
+  const byId = new Map(entries.map((e) => [e._id.toString(), e]));
+  const workers = await User.find({ _id: { $in: [...new Set(entries.map((e) => e.worker.toString()))] } }).select('weekStartDay');
+  const weekStartDays = new Map(workers.map((w) => [w._id.toString(), w.weekStartDay ?? 2]));
+
+  // Worker-weeks whose payment needs rebuilding, with the results that touched each
+  const weeksToRefresh = new Map();
+  const markWeek = (entry, result) => {
+    const { weekStart } = WeeklyPayment.getWeekBoundaries(new Date(entry.date), weekStartDays.get(entry.worker.toString()) ?? 2);
+    const key = `${entry.worker}|${weekStart.getTime()}`;
+    if (!weeksToRefresh.has(key)) weeksToRefresh.set(key, { entry, results: [] });
+    weeksToRefresh.get(key).results.push(result);
+  };
+
+  const seen = new Set();
+  const results = [];
+  for (const decision of decisions) {
+    const { entryId, action } = decision;
+    const result = { entryId, action, success: false };
+    results.push(result);
+
+    try {
+      if (seen.has(entryId)) throw new ApiError('Entry appears more than once in this request', 400);
+      seen.add(entryId);
+
+      const entry = byId.get(entryId);
+      if (!entry) throw new ApiError('Entry not found', 404);
+
+      if (action === 'approve') {
+        applyApproval(entry, decision, req.user._id);
+        await entry.save();
+        markWeek(entry, result);
+      } else {
+        const wasApproved = applySendBack(entry, BULK_ACTIONS[action], decision, req.user._id);
+        await entry.save();
+        if (wasApproved) markWeek(entry, result);
+        notifyEntryReview(entry).catch((error) => console.error('Failed to notify worker:', error.message));
+      }
+
+      result.success = true;
+      result.status  = entry.status;
+    } catch (error) {
+      result.error = error.message;
+    }
   }
 
-  res.json({ success: true, message: 'Entry vetted successfully', data: entry });
+  // Approved or paid weeks are skipped; each entry's result says what happened to its week
+  const paymentCounts = { recalculated: 0, locked: 0, failed: 0 };
+  for (const { entry, results: weekResults } of weeksToRefresh.values()) {
+    const payment = await refreshWeeklyPayment(entry);
+    paymentCounts[payment] += 1;
+    weekResults.forEach((result) => { result.payment = payment; });
+  }
+
+  const succeeded = results.filter((r) => r.success).length;
+  res.json({
+    success: true,
+    message: `${succeeded} of ${results.length} entries vetted${paymentCounts.locked ? ` — ${paymentCounts.locked} approved or paid week(s) left unchanged` : ''}`,
+    data: {
+      succeeded,
+      failed: results.length - succeeded,
+      paymentsRecalculated: paymentCounts.recalculated,
+      paymentsLocked:       paymentCounts.locked,
+      paymentsFailed:       paymentCounts.failed,
+      results,
+    },
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -238,8 +653,8 @@ const vetEntry = asyncHandler(async (req, res) => {
 // ---------------------------------------------------------------------------
 
 const getEntries = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 50, approved, workerId, profileId, startDate, endDate } = req.query;
-  const query = {};
+  const { page = 1, limit = 50, approved, status, workerId, profileId, startDate, endDate } = req.query;
+  const query = status ? Entry.statusQuery(status) : {};
 
   if (approved  !== undefined) query.adminApproved = approved === 'true';
   if (workerId)  query.worker  = workerId;
@@ -254,6 +669,7 @@ const getEntries = asyncHandler(async (req, res) => {
     .populate('profile',    'fullName email')
     .populate('worker',     'name email phone')
     .populate('approvedBy', 'name email')
+    .populate('reviewedBy', 'name email')
     .sort({ date: -1 })
     .skip((page - 1) * limit)
     .limit(parseInt(limit))
@@ -273,22 +689,115 @@ const getRankedProfiles = asyncHandler(async (req, res) => {
   const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
   const benchmark = (await Benchmark.getCurrentBenchmark()) || (await Benchmark.getLatestBenchmark());
 
-  const ranked = await Entry.aggregate([
-    { $match: { date: { $gte: start, $lte: end }, adminApproved: true } },
-    { $group: { _id: '$worker', totalTime: { $sum: { $ifNull: ['$adminTime', '$time'] } }, totalQuality: { $sum: { $ifNull: ['$adminQuality', '$quality'] } }, entryCount: { $sum: 1 }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } },
-    { $addFields: { overallScore: { $add: [{ $multiply: ['$avgQuality', 0.6] }, { $multiply: ['$avgTime', 0.4] }] } } },
-    { $sort: { overallScore: -1 } },
-    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'worker' } },
-    { $unwind: '$worker' },
-    { $project: { _id: '$worker._id', name: '$worker.name', email: '$worker.email', phone: '$worker.phone', totalTime: { $round: ['$totalTime', 2] }, avgQuality: { $round: ['$avgQuality', 2] }, avgTime: { $round: ['$avgTime', 2] }, overallScore: { $round: ['$overallScore', 2] }, entryCount: 1 } },
-  ]);
+  const profileFilter = buildProfileFilter(req.query);
+  const filtered = Object.keys(profileFilter).length > 0;
+  const windowKey = STATS_WINDOWS[req.query.window];
+
+  let ranked;
+  let dateRange = { start, end };
+  if (windowKey && !filtered) {
+    // Precomputed per-worker windows — no aggregation needed
+    const workers = await User.find({ [`rollingStats.${windowKey}.entryCount`]: { $gt: 0 } })
+      .select(`name email phone rollingStats.${windowKey} rollingStats.computedAt`)
+      .sort({ [`rollingStats.${windowKey}.overallPerformance`]: -1 });
+
+    ranked = workers.map((worker) => {
+      const stats = worker.rollingStats[windowKey];
+      return {
+        _id:          worker._id,
+        name:         worker.name,
+        email:        worker.email,
+        phone:        worker.phone,
+        totalTime:    stats.totalHours,
+        avgQuality:   stats.avgQuality,
+        avgTime:      stats.avgTime,
+        overallScore: stats.overallPerformance,
+        entryCount:   stats.entryCount,
+      };
+    });
+    dateRange = { start: DailyStat.windowStart(DailyStat.WINDOWS[windowKey]), end: new Date() };
+  } else if (windowKey) {
+    // Filtered profiles: sum their daily buckets for the window
+    const windowStart = DailyStat.windowStart(DailyStat.WINDOWS[windowKey]);
+    ranked = await DailyStat.aggregate([
+      { $match: { day: { $gte: windowStart }, profile: { $in: await Profile.find(profileFilter).distinct('_id') } } },
+      { $group: { _id: '$worker', totalTime: { $sum: '$totalTime' }, totalQuality: { $sum: '$totalQuality' }, entryCount: { $sum: '$entryCount' } } },
+      { $addFields: { avgQuality: { $divide: ['$totalQuality', '$entryCount'] }, avgTime: { $divide: ['$totalTime', '$entryCount'] } } },
+      { $addFields: { overallScore: { $add: [{ $multiply: ['$avgQuality', 0.6] }, { $multiply: ['$avgTime', 0.4] }] } } },
+      { $sort: { overallScore: -1 } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'worker' } },
+      { $unwind: '$worker' },
+      { $project: { _id: '$worker._id', name: '$worker.name', email: '$worker.email', phone: '$worker.phone', totalTime: { $round: ['$totalTime', 2] }, avgQuality: { $round: ['$avgQuality', 2] }, avgTime: { $round: ['$avgTime', 2] }, overallScore: { $round: ['$overallScore', 2] }, entryCount: 1 } },
+    ]);
+    dateRange = { start: windowStart, end: new Date() };
+  } else {
+    const match = { date: { $gte: start, $lte: end }, adminApproved: true };
+    if (filtered) {
+      match.profile = { $in: await Profile.find(profileFilter).distinct('_id') };
+    }
+
+    ranked = await Entry.aggregate([
+      { $match: match },
+      { $group: { _id: '$worker', totalTime: { $sum: { $ifNull: ['$adminTime', '$time'] } }, totalQuality: { $sum: { $ifNull: ['$adminQuality', '$quality'] } }, entryCount: { $sum: 1 }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } },
+      { $addFields: { overallScore: { $add: [{ $multiply: ['$avgQuality', 0.6] }, { $multiply: ['$avgTime', 0.4] }] } } },
+      { $sort: { overallScore: -1 } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'worker' } },
+      { $unwind: '$worker' },
+      { $project: { _id: '$worker._id', name: '$worker.name', email: '$worker.email', phone: '$worker.phone', totalTime: { $round: ['$totalTime', 2] }, avgQuality: { $round: ['$avgQuality', 2] }, avgTime: { $round: ['$avgTime', 2] }, overallScore: { $round: ['$overallScore', 2] }, entryCount: 1 } },
+    ]);
+  }
 
   const rankedWithEarnings = ranked.map((worker) => ({
     ...worker,
     weeklyEarnings: Math.round(calculateEarnings(worker.totalTime, worker.overallScore, benchmark)),
   }));
 
-  res.json({ success: true, count: rankedWithEarnings.length, dateRange: { start, end }, data: rankedWithEarnings });
+  res.json({ success: true, count: rankedWithEarnings.length, window: req.query.window || null, dateRange, data: rankedWithEarnings });
+});
+
+/**
+ * @desc    Per-client totals (hours, quality, earnings) for client reporting.
+ *          Profiles without a client are grouped under client: null.
+ * @route   GET /api/admin/clients/stats
+ * @access  Admin (stats.view)
+ */
+const getClientStats = asyncHandler(async (req, res) => {
+  const { startDate, endDate, platform, tags } = req.query;
+  const end   = endDate   ? new Date(endDate)   : new Date();
+  const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const benchmark = (await Benchmark.getCurrentBenchmark()) || (await Benchmark.getLatestBenchmark());
+
+  const match = { date: { $gte: start, $lte: end }, adminApproved: true };
+  const profileFilter = buildProfileFilter({ platform, tags });
+  if (Object.keys(profileFilter).length > 0) {
+    match.profile = { $in: await Profile.find(profileFilter).distinct('_id') };
+  }
+
+  const totals = await Entry.aggregate([
+    { $match: match },
+    { $lookup: { from: 'profiles', localField: 'profile', foreignField: '_id', as: 'p' } },
+    { $unwind: '$p' },
+    { $group: { _id: { $ifNull: ['$p.client', null] }, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } }, entryCount: { $sum: 1 }, profiles: { $addToSet: '$profile' }, workers: { $addToSet: '$worker' } } },
+    { $lookup: { from: 'clients', localField: '_id', foreignField: '_id', as: 'client' } },
+    { $sort: { totalHours: -1 } },
+  ]);
+
+  const data = totals.map((t) => {
+    const overallScore = t.avgQuality * 0.6 + t.avgTime * 0.4;
+    return {
+      client:       t.client[0] ? { id: t.client[0]._id, name: t.client[0].name } : null,
+      totalHours:   Math.round(t.totalHours * 100) / 100,
+      avgQuality:   Math.round(t.avgQuality * 100) / 100,
+      avgTime:      Math.round(t.avgTime * 100) / 100,
+      overallScore: Math.round(overallScore * 100) / 100,
+      entryCount:   t.entryCount,
+      profileCount: t.profiles.length,
+      workerCount:  t.workers.length,
+      earnings:     Math.round(calculateEarnings(t.totalHours, overallScore, benchmark)),
+    };
+  });
+
+  res.json({ success: true, count: data.length, dateRange: { start, end }, data });
 });
 
 // ---------------------------------------------------------------------------
@@ -300,15 +809,36 @@ const reassignWorker = asyncHandler(async (req, res) => {
 
   const profile = await Profile.findById(profileId);
   if (!profile) throw new ApiError('Profile not found', 404);
+  if (profile.archivedAt) throw new ApiError('Cannot assign workers to an archived profile', 400);
   const newWorker = await User.findById(newWorkerId);
   if (!newWorker) throw new ApiError('Worker not found', 404);
   if (newWorker.role !== 'user') throw new ApiError('Only role "user" can be assigned', 400);
 
+  await AssignmentHistory.ensureSeeded(profile);
+
+  const window = permanent
+    ? { permanent: true, slot, start: new Date() }
+    : { permanent: false, start: new Date(startDate), end: new Date(endDate) };
+  if (!permanent && window.end <= window.start) throw new ApiError('End date must be after start date', 400);
+
+  const { conflicts, capacity } = await evaluateReassignment(profile, newWorker, window);
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: conflicts.map((c) => c.message).join('; '),
+      data: { conflicts, capacity },
+    });
+  }
+
   if (permanent) {
     const workerField = slot === 'second' ? 'secondWorker' : 'defaultWorker';
     const oldWorkerId = profile[workerField];
     profile[workerField] = newWorkerId;
     await profile.save();
+    await AssignmentHistory.recordPermanentChange({
+      profile, slot: slot === 'second' ? 'second' : 'default', fromWorker: oldWorkerId, toWorker: newWorkerId,
+      changedBy: req.user._id, reason: reason || 'Permanent reassignment',
+    });
     if (oldWorkerId && oldWorkerId.toString() !== newWorkerId.toString()) {
       await User.findByIdAndUpdate(oldWorkerId, { $pull: { assignedProfiles: profileId } });
     }
@@ -316,20 +846,82 @@ const reassignWorker = asyncHandler(async (req, res) => {
     return res.json({ success: true, message: 'Permanent reassignment complete', data: profile });
   }
 
-  const start = new Date(startDate);
-  const end   = new Date(endDate);
-  if (end <= start) throw new ApiError('End date must be after start date', 400);
-  profile.temporaryAssignments.push({ worker: newWorkerId, startDate: start, endDate: end, reason: reason || 'Temporary assignment' });
-  await profile.save();
+  await addTemporaryAssignment(profile, {
+    worker: newWorkerId, startDate: window.start, endDate: window.end, reason: reason || 'Temporary assignment',
+  }, req.user._id);
   res.json({ success: true, message: 'Temporary reassignment added', data: profile });
 });
 
+/**
+ * @desc    Dry run of PUT /reassign — conflicts, capacity impact and the
+ *          worker's entries left outside their assignment windows
+ * @route   POST /api/admin/reassign/preview
+ * @access  Admin (profiles.assign)
+ */
+const previewReassignment = asyncHandler(async (req, res) => {
+  const { profileId, newWorkerId, startDate, endDate, permanent = false, slot = 'default' } = req.body;
+
+  const profile = await Profile.findById(profileId);
+  if (!profile) throw new ApiError('Profile not found', 404);
+  const newWorker = await User.findById(newWorkerId);
+  if (!newWorker) throw new ApiError('Worker not found', 404);
+
+  const window = permanent
+    ? { permanent: true, slot, start: new Date() }
+    : { permanent: false, start: new Date(startDate), end: new Date(endDate) };
+  const result = await evaluateReassignment(profile, newWorker, window);
+
+  if (profile.archivedAt) {
+    result.conflicts.unshift({ type: 'archived', message: 'Cannot assign workers to an archived profile' });
+  }
+  if (newWorker.role !== 'user') {
+    result.conflicts.unshift({ type: 'invalid_worker', message: 'Only role "user" can be assigned' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      canApply: result.conflicts.length === 0,
+      window:   { permanent: window.permanent, slot: window.permanent ? slot : 'temporary', startDate: window.start, endDate: window.end || null },
+      ...result,
+    },
+  });
+});
+
+/**
+ * @desc    Set a worker's max concurrent profiles (null = platform default)
+ * @route   PUT /api/admin/users/:id/capacity
+ * @access  Admin (profiles.assign)
+ */
+const setWorkerCapacity = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new ApiError('User not found', 404);
+  if (user.role !== 'user') throw new ApiError('Capacity only applies to workers', 400);
+
+  user.maxConcurrentProfiles = req.body.maxConcurrentProfiles ?? null;
+  await user.save({ validateBeforeSave: false });
+
+  const capacity = await getCapacityImpact(user, new Date(), null, null);
+  res.json({
+    success: true,
+    message: 'Worker capacity updated',
+    data: {
+      maxConcurrentProfiles: user.maxConcurrentProfiles,
+      effectiveLimit:        capacity.limit,
+      currentProfiles:       capacity.current,
+      overLimit:             capacity.limit != null && capacity.current > capacity.limit,
+    },
+  });
+});
+
 const removeTemporaryAssignment = asyncHandler(async (req, res) => {
   const { profileId, assignmentId } = req.params;
   const profile = await Profile.findById(profileId);
   if (!profile) throw new ApiError('Profile not found', 404);
+  await AssignmentHistory.ensureSeeded(profile);
   profile.temporaryAssignments = profile.temporaryAssignments.filter((a) => a._id.toString() !== assignmentId);
   await profile.save();
+  await AssignmentHistory.endTemporary({ assignmentId, changedBy: req.user._id });
   res.json({ success: true, message: 'Temporary assignment removed', data: profile });
 });
 
@@ -343,21 +935,36 @@ const getWorkerStats = asyncHandler(async (req, res) => {
   const start = startDate ? new Date(startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
   const benchmark = (await Benchmark.getCurrentBenchmark()) || (await Benchmark.getLatestBenchmark());
 
+  const windowKey = STATS_WINDOWS[req.query.window];
+
+  // With ?window= the totals come from precomputed rollingStats and lifetime
+  // from the profiles' running totals, so no entry is scanned
+  const averaged = [
+    { $addFields: { avgQuality: { $cond: [{ $gt: ['$totalEntries', 0] }, { $divide: ['$totalQuality', '$totalEntries'] }, 0] }, avgTime: { $cond: [{ $gt: ['$totalEntries', 0] }, { $divide: ['$totalHours', '$totalEntries'] }, 0] } } },
+  ];
+  const windowStats = () => User.aggregate([
+    { $match: { [`rollingStats.${windowKey}.entryCount`]: { $gt: 0 } } },
+    { $group: { _id: null, activeWorkers: { $sum: 1 }, totalHours: { $sum: `$rollingStats.${windowKey}.totalHours` }, totalQuality: { $sum: `$rollingStats.${windowKey}.totalQuality` }, totalEntries: { $sum: `$rollingStats.${windowKey}.entryCount` } } },
+    ...averaged,
+  ]);
+
   const [totalUsers, totalProfiles, pendingEntries, pendingUsers, activeWorkersResult, weeklyStatsResult] = await Promise.all([
     User.countDocuments({ role: 'user' }),
     Profile.countDocuments(),
-    Entry.countDocuments({ adminApproved: false }),
+    Entry.countDocuments(Entry.statusQuery('submitted')),
     User.countDocuments({ isApproved: false, role: 'user' }),
-    Entry.aggregate([{ $match: { date: { $gte: start, $lte: end }, adminApproved: true } }, { $group: { _id: '$worker' } }, { $count: 'count' }]),
-    Entry.aggregate([{ $match: { date: { $gte: start, $lte: end }, adminApproved: true } }, { $group: { _id: null, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, totalEntries: { $sum: 1 }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } }]),
+    windowKey ? null : Entry.aggregate([{ $match: { date: { $gte: start, $lte: end }, adminApproved: true } }, { $group: { _id: '$worker' } }, { $count: 'count' }]),
+    windowKey ? windowStats() : Entry.aggregate([{ $match: { date: { $gte: start, $lte: end }, adminApproved: true } }, { $group: { _id: null, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, totalEntries: { $sum: 1 }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } }]),
   ]);
 
-  const activeWorkers = activeWorkersResult[0]?.count || 0;
+  const activeWorkers = windowKey ? weeklyStatsResult[0]?.activeWorkers || 0 : activeWorkersResult[0]?.count || 0;
   const weeklyStats   = weeklyStatsResult[0] || { totalHours: 0, avgQuality: 0, totalEntries: 0, avgTime: 0 };
   const overallPerformance = weeklyStats.avgQuality * 0.6 + (weeklyStats.avgTime || 0) * 0.4;
   const weeklyEarnings     = calculateEarnings(weeklyStats.totalHours, overallPerformance, benchmark);
 
-  const lifetimeStatsResult = await Entry.aggregate([{ $match: { adminApproved: true } }, { $group: { _id: null, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, totalEntries: { $sum: 1 }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } }]);
+  const lifetimeStatsResult = windowKey
+    ? await Profile.aggregate([{ $group: { _id: null, totalHours: { $sum: '$totalTimeLogged' }, totalQuality: { $sum: '$totalQualityScore' }, totalEntries: { $sum: '$entryCount' } } }, ...averaged])
+    : await Entry.aggregate([{ $match: { adminApproved: true } }, { $group: { _id: null, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, totalEntries: { $sum: 1 }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } }]);
   const lifetimeStats       = lifetimeStatsResult[0] || { totalHours: 0, avgQuality: 0, totalEntries: 0, avgTime: 0 };
   const lifetimePerformance = lifetimeStats.avgQuality * 0.6 + (lifetimeStats.avgTime || 0) * 0.4;
   const lifetimeEarnings    = calculateEarnings(lifetimeStats.totalHours, lifetimePerformance, benchmark);
@@ -366,7 +973,8 @@ const getWorkerStats = asyncHandler(async (req, res) => {
     success: true,
     data: { totalUsers, totalProfiles, pendingEntries, pendingUsers, activeWorkers, totalHoursThisWeek: Math.round(weeklyStats.totalHours * 100) / 100, avgQualityThisWeek: Math.round(weeklyStats.avgQuality * 10) / 10, weeklyEarnings: Math.round(weeklyEarnings), lifetimeEarnings: Math.round(lifetimeEarnings) },
     benchmark: benchmark ? { timeBenchmark: benchmark.timeBenchmark, qualityBenchmark: benchmark.qualityBenchmark, thresholds: benchmark.thresholds } : null,
-    dateRange: { start, end },
+    window: req.query.window || null,
+    dateRange: windowKey ? { start: DailyStat.windowStart(DailyStat.WINDOWS[windowKey]), end: new Date() } : { start, end },
   });
 });
 
@@ -400,7 +1008,7 @@ const getUserStats = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, status: user.status || (user.isApproved ? 'approved' : 'pending'), isApproved: user.isApproved, weekStartDay, bankDetails: user.bankDetails, extraBonus: user.extraBonus, extraBonusReason: user.extraBonusReason },
+      user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, status: user.status || (user.isApproved ? 'approved' : 'pending'), isApproved: user.isApproved, weekStartDay, bankDetails: (await hasPermission(req, 'users.viewBank')) ? user.bankDetails : undefined, extraBonus: user.extraBonus, extraBonusReason: user.extraBonusReason },
       currentWeekRange: { weekStart, weekEnd },
       lifetime: { totalHours: Math.round(lifetime.totalHours * 100) / 100, avgQuality: Math.round(lifetime.avgQuality * 100) / 100, entryCount: lifetime.entryCount, totalEarnings: Math.round(lifetimeEarnings) },
       weekly:   { totalHours: Math.round(weekly.totalHours   * 100) / 100, avgQuality: Math.round(weekly.avgQuality   * 100) / 100, entryCount: weekly.entryCount,   totalEarnings: Math.round(weeklyEarnings)   },
@@ -442,9 +1050,10 @@ const getUserEarnings = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
-  approveUser, getPendingUsers, getAllUsers, getUserById,
-  createProfile, updateProfile, getProfiles, getProfileById,
-  getRankedProfiles, vetEntry, getEntries,
-  reassignWorker, removeTemporaryAssignment,
+  approveUser, getPendingUsers, getAllUsers, getUserById, getUserLoginHistory,
+  createProfile, updateProfile, getProfiles, getAtRiskProfiles, getProfileById, rotateProfileCredentials,
+  archiveProfile, restoreProfile,
+  getRankedProfiles, getClientStats, vetEntry, bulkVetEntries, rejectEntry, requestEntryChanges, getEntries,
+  reassignWorker, previewReassignment, setWorkerCapacity, removeTemporaryAssignment,
   getWorkerStats, getUserStats, getUserEarnings,
 }; 
\ No newline at end of file
@@ -0,0 +1,109 @@
+const ApiKey = require('../models/ApiKey');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Create an API key. The full key is only returned here.
+ * @route   POST /api/superadmin/api-keys
+ * @access  Superadmin
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  const { apiKey, key } = await ApiKey.generate({
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now — it will not be shown again.',
+    data: { key, apiKey },
+  });
+});
+
+/**
+ * @desc    List API keys
+ * @route   GET /api/superadmin/api-keys
+ * @access  Superadmin
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const now = new Date();
+
+  const query = {};
+  if (status === 'active') {
+    query.revokedAt = null;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+  } else if (status === 'revoked') {
+    query.revokedAt = { $ne: null };
+  } else if (status === 'expired') {
+    query.revokedAt = null;
+    query.expiresAt = { $lte: now };
+  }
+
+  const keys = await ApiKey.find(query)
+    .populate('createdBy', 'name email')
+    .populate('revokedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({ success: true, count: keys.length, data: keys });
+});
+
+/**
+ * @desc    Get one API key
+ * @route   GET /api/superadmin/api-keys/:id
+ * @access  Superadmin
+ */
+const getApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id)
+    .populate('createdBy', 'name email')
+    .populate('revokedBy', 'name email');
+  if (!apiKey) throw new ApiError('API key not found', 404);
+  res.json({ success: true, data: apiKey });
+});
+
+/**
+ * @desc    Rename a key or change its scopes/expiry
+ * @route   PUT /api/superadmin/api-keys/:id
+ * @access  Superadmin
+ */
+const updateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) throw new ApiError('API key not found', 404);
+  if (apiKey.revokedAt) throw new ApiError('Revoked keys cannot be edited', 400);
+
+  const { name, scopes, expiresAt } = req.body;
+  if (name !== undefined)      apiKey.name = name;
+  if (scopes !== undefined)    apiKey.scopes = [...new Set(scopes)];
+  if (expiresAt !== undefined) apiKey.expiresAt = expiresAt ? new Date(expiresAt) : null;
+  await apiKey.save();
+
+  res.json({ success: true, message: 'API key updated', data: apiKey });
+});
+
+/**
+ * @desc    Revoke an API key (kept for the audit trail, no longer usable)
+ * @route   DELETE /api/superadmin/api-keys/:id
+ * @access  Superadmin
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) throw new ApiError('API key not found', 404);
+  if (apiKey.revokedAt) throw new ApiError('API key is already revoked', 400);
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+
+  res.json({ success: true, message: 'API key revoked', data: apiKey });
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  updateApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,79 @@
+const Profile = require('../models/Profile');
+const User = require('../models/User');
+const AssignmentHistory = require('../models/AssignmentHistory');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Shared filters: ?date=YYYY-MM-DD narrows to periods in effect on that (UTC)
+ * day; cancelled temporary assignments are hidden unless includeCancelled=true.
+ */
+const buildHistoryQuery = (base, { date, includeCancelled }) => {
+  if (date) {
+    const dayStart = new Date(`${date.toString().split('T')[0]}T00:00:00.000Z`);
+    const dayEnd   = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+    return { ...base, ...AssignmentHistory.activeBetween(dayStart, dayEnd) };
+  }
+  return includeCancelled === 'true' ? base : { ...base, cancelled: false };
+};
+
+const listHistory = async (query, { page = 1, limit = 50 }, populate) => {
+  const [periods, total] = await Promise.all([
+    AssignmentHistory.find(query)
+      .populate(populate)
+      .populate('assignedBy', 'name email')
+      .populate('endedBy', 'name email')
+      .sort({ startDate: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean(),
+    AssignmentHistory.countDocuments(query),
+  ]);
+  return { periods, total };
+};
+
+/**
+ * @desc    Assignment timeline of a profile (who held which slot, when)
+ * @route   GET /api/admin/profile/:id/assignments
+ * @access  Admin (profiles.view)
+ */
+const getProfileAssignments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const profile = await Profile.findById(req.params.id)
+    .select('defaultWorker secondWorker temporaryAssignments createdAt');
+  if (!profile) throw new ApiError('Profile not found', 404);
+  await AssignmentHistory.ensureSeeded(profile);
+
+  const query = buildHistoryQuery({ profile: profile._id }, req.query);
+  const { periods, total } = await listHistory(query, req.query, [
+    { path: 'worker', select: 'name email phone' },
+    { path: 'previousWorker', select: 'name email' },
+  ]);
+
+  res.json({ success: true, count: periods.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: periods });
+});
+
+/**
+ * @desc    Assignment timeline of a worker across profiles
+ * @route   GET /api/admin/users/:id/assignments
+ * @access  Admin (users.view)
+ */
+const getUserAssignments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const user = await User.findById(req.params.id).select('_id');
+  if (!user) throw new ApiError('User not found', 404);
+
+  const query = buildHistoryQuery({ worker: user._id }, req.query);
+  const { periods, total } = await listHistory(query, req.query, [
+    { path: 'profile', select: 'fullName email archivedAt' },
+    { path: 'previousWorker', select: 'name email' },
+  ]);
+
+  res.json({ success: true, count: periods.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: periods });
+});
+
+module.exports = {
+  getProfileAssignments,
+  getUserAssignments,
+};
@@ -0,0 +1,103 @@
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the Mongo query shared by the list and CSV export endpoints.
+ * action matches as a prefix, so `action=payment` returns every payment.* action.
+ */
+const buildAuditQuery = ({ actor, targetType, targetId, action, startDate, endDate }) => {
+  const query = {};
+  if (actor)      query.actor      = actor;
+  if (targetType) query.targetType = targetType;
+  if (targetId)   query.targetId   = targetId;
+  if (action)     query.action     = { $regex: `^${escapeRegex(action)}` };
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate)   query.createdAt.$lte = new Date(endDate);
+  }
+  return query;
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * @desc    List audit log records with filters
+ * @route   GET /api/superadmin/audit-log
+ * @access  Superadmin
+ */
+const getAuditLog = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const query = buildAuditQuery(req.query);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .populate('onBehalfOf', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.json({ success: true, count: logs.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: logs });
+});
+
+/**
+ * @desc    Export audit log records as CSV (same filters as the list endpoint)
+ * @route   GET /api/superadmin/audit-log/export
+ * @access  Superadmin
+ */
+const exportAuditLog = asyncHandler(async (req, res) => {
+  const query = buildAuditQuery(req.query);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.write(['timestamp', 'actorName', 'actorEmail', 'actorRole', 'onBehalfOfEmail', 'action', 'targetType', 'targetId', 'changes', 'meta', 'ip', 'method', 'path'].join(',') + '\n');
+
+  // Stream with a cursor so large exports don't load everything into memory
+  const cursor = AuditLog.find(query)
+    .populate('actor', 'name email')
+    .populate('onBehalfOf', 'email')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  for await (const log of cursor) {
+    const changes = (log.changes || [])
+      .map((c) => `${c.field}: ${JSON.stringify(c.before ?? null)} -> ${JSON.stringify(c.after ?? null)}`)
+      .join('; ');
+
+    res.write([
+      log.createdAt.toISOString(),
+      log.actor?.name,
+      log.actor?.email,
+      log.actorRole,
+      log.onBehalfOf?.email,
+      log.action,
+      log.targetType,
+      log.targetId,
+      changes,
+      log.meta,
+      log.ip,
+      log.method,
+      log.path,
+    ].map(csvCell).join(',') + '\n');
+  }
+
+  res.end();
+});
+
+module.exports = {
+  getAuditLog,
+  exportAuditLog,
+};
@@ -1,7 +1,95 @@
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SystemSetting = require('../models/SystemSetting');
+const LoginEvent = require('../models/LoginEvent');
+const AuditLog = require('../models/AuditLog');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const totp = require('../utils/totp');
+const oidc = require('../utils/oidc');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const sendEmail = require('../utils/sendEmail');
+const { sendVerificationEmail, sendNewDeviceLoginEmail } = require('../utils/sendEmail');
+
+/**
+ * Open a new session for the user and return the token pair.
+ */
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, req);
+  const token = user.generateAuthToken(session._id);
+  return { token, refreshToken, session };
+};
+
+/**
+ * True when the platform requires this user's role to use 2FA.
+ */
+const isTwoFactorRequiredFor = async (user) => {
+  if (!['admin', 'superadmin'].includes(user.role)) return false;
+  const settings = await SystemSetting.getSettings();
+  return settings.requireAdminTwoFactor;
+};
+
+/**
+ * Final step of every successful login — stamps lastLogin and returns tokens.
+ * extra is merged into the response data.
+ */
+const completeLogin = async (user, req, res, method = 'password', extra = {}) => {
+  user.lastLogin = new Date();
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+
+  const event = await LoginEvent.record(req, { user, outcome: 'success', method });
+  if (event.newDevice) {
+    // Fire and forget — a mail outage must not block the login
+    sendNewDeviceLoginEmail(user, { ip: event.ip, userAgent: event.userAgent, at: event.createdAt })
+      .catch((error) => console.error('Failed to send new device email:', error.message));
+  }
+
+  // Open a session and generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  const twoFactorSetupRequired = !user.twoFactorEnabled && (await isTwoFactorRequiredFor(user));
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token,
+      refreshToken,
+      twoFactorSetupRequired,
+      ...extra,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled,
+      },
+    },
+  });
+};
+
+/**
+ * Record a failed attempt and lock the account if the limit is reached.
+ */
+const handleFailedLogin = async (user, req, outcome, method = 'password') => {
+  await LoginEvent.record(req, { user, outcome, method });
+  const locked = await user.registerFailedLogin();
+  if (locked) {
+    throw new ApiError('Too many failed attempts. Your account has been temporarily locked.', 423);
+  }
+};
+
+/**
+ * Reject the request if the account is currently locked.
+ */
+const assertNotLocked = async (user, req, method = 'password') => {
+  if (!user.isLocked) return;
+  await LoginEvent.record(req, { user, outcome: 'locked', method });
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+  throw new ApiError(`Account is temporarily locked. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 423);
+};
 
 /**
  * @desc    Register a new user
@@ -18,21 +106,31 @@ const signup = asyncHandler(async (req, res) => {
   }
 
   // Create user (not approved by default)
-  const user = await User.create({
+  const user = new User({
     email,
     password,
     name,
     isApproved: false,
   });
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  // A failed send shouldn't fail signup — the user can request a new link
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message);
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Registration successful. Please wait for admin approval.',
+    message: 'Registration successful. Please check your email to verify your address, then wait for admin approval.',
     data: {
       id: user._id,
       email: user.email,
       name: user.name,
       isApproved: user.isApproved,
+      emailVerified: user.emailVerified,
     },
   });
 });
@@ -49,45 +147,94 @@ const login = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await LoginEvent.record(req, { email, outcome: 'unknown_email' });
     throw new ApiError('Invalid email or password', 401);
   }
 
+  await assertNotLocked(user, req);
+
   // Check if user is approved
   if (!user.isApproved) {
+    await LoginEvent.record(req, { user, outcome: 'not_approved' });
     throw new ApiError('Your account is pending approval. Please wait for admin approval.', 403);
   }
 
   // Check if user is active
   if (!user.isActive) {
+    await LoginEvent.record(req, { user, outcome: 'deactivated' });
     throw new ApiError('Your account has been deactivated. Please contact admin.', 403);
   }
 
   // Verify password
   const isMatch = await user.matchPassword(password);
   if (!isMatch) {
+    await handleFailedLogin(user, req, 'failed_password');
     throw new ApiError('Invalid email or password', 401);
   }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save({ validateBeforeSave: false });
+  // Second step required — hand back a short-lived challenge token instead
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        twoFactorToken: user.generateTwoFactorChallengeToken(),
+      },
+    });
+  }
 
-  // Generate token
-  const token = user.generateAuthToken();
+  await completeLogin(user, req, res);
+});
 
-  res.json({
-    success: true,
-    message: 'Login successful',
-    data: {
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-      },
-    },
-  });
+/**
+ * @desc    Complete a 2FA login with a TOTP code or a recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires twoFactorToken from /login)
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new ApiError('Login attempt expired. Please login again.', 401);
+  }
+  if (decoded.purpose !== '2fa_login') {
+    throw new ApiError('Invalid two-factor token', 401);
+  }
+  const method = decoded.method || 'password';
+
+  const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+  if (!user || !user.twoFactorEnabled) {
+    throw new ApiError('Invalid two-factor token', 401);
+  }
+  if (!user.isApproved || !user.isActive) {
+    throw new ApiError('Your account is not active. Please contact admin.', 403);
+  }
+
+  await assertNotLocked(user, req, method);
+
+  let usedRecoveryCode = false;
+  if (code) {
+    if (!(await user.useTotpCode(code))) {
+      await handleFailedLogin(user, req, 'failed_2fa', method);
+      throw new ApiError('Invalid authentication code', 401);
+    }
+  } else if (recoveryCode) {
+    if (!user.useRecoveryCode(recoveryCode)) {
+      await handleFailedLogin(user, req, 'failed_2fa', method);
+      throw new ApiError('Invalid recovery code', 401);
+    }
+    usedRecoveryCode = true;
+  } else {
+    throw new ApiError('Authentication code or recovery code is required', 400);
+  }
+
+  // Lets the client prompt for new codes when they run low
+  const extra = usedRecoveryCode ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length } : {};
+  await completeLogin(user, req, res, method, extra);
 });
 
 /**
@@ -102,6 +249,9 @@ const getMe = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: user,
+    impersonatedBy: req.impersonator
+      ? { id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email }
+      : undefined,
   });
 });
 
@@ -126,8 +276,11 @@ const updatePassword = asyncHandler(async (req, res) => {
   user.passwordChangedAt = new Date();
   await user.save();
 
+  // Sign out every other device, keep this one
+  await Session.revokeAllForUser(user._id, 'password_changed', req.session._id);
+
   // Generate new token
-  const token = user.generateAuthToken();
+  const token = user.generateAuthToken(req.session._id);
 
   res.json({
     success: true,
@@ -159,14 +312,31 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   }
 
-  const user = await User.findByIdAndUpdate(req.user._id, updates, {
-    new: true,
-    runValidators: true,
-  });
+  const user = await User.findById(req.user._id);
+  Object.assign(user, updates);
+
+  // A new address has to be verified again
+  let verificationToken = null;
+  if (user.isModified('email')) {
+    user.emailVerified   = false;
+    user.emailVerifiedAt = null;
+    verificationToken    = user.createEmailVerificationToken();
+  }
+  await user.save();
+
+  if (verificationToken) {
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      console.error('Failed to send verification email:', error.message);
+    }
+  }
 
   res.json({
     success: true,
-    message: 'Profile updated successfully',
+    message: verificationToken
+      ? 'Profile updated successfully. Please verify your new email address.'
+      : 'Profile updated successfully',
     data: user,
   });
 });
@@ -265,16 +435,33 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
   user.passwordChangedAt = new Date();
+  user.resetLoginAttempts();
   await user.save();
 
+  // Whoever had the old password may still hold sessions — end all of them
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
+  // A reset link alone must not bypass the second factor
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Password has been reset. Enter the code from your authenticator app to continue.',
+      data: {
+        twoFactorRequired: true,
+        twoFactorToken: user.generateTwoFactorChallengeToken(),
+      },
+    });
+  }
+
   // Generate new auth token
-  const authToken = user.generateAuthToken();
+  const { token: authToken, refreshToken } = await issueTokens(user, req);
 
   res.json({
     success: true,
     message: 'Password has been reset successfully',
     data: {
       token: authToken,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -319,26 +506,519 @@ const verifyResetToken = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Logout (optional - for token blacklist if implemented)
+ * @desc    Start 2FA enrolment — returns a secret and otpauth:// URI for the QR code
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: totp.buildOtpAuthUrl({ secret, label: user.email }),
+    },
+  });
+});
+
+/**
+ * @desc    Confirm enrolment with a code — enables 2FA and returns recovery codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+  if (user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError('Start two-factor setup first', 400);
+  }
+  if (!(await user.useTotpCode(req.body.code, user.twoFactorPendingSecret))) {
+    throw new ApiError('Invalid authentication code', 400);
+  }
+
+  user.twoFactorSecret        = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled       = true;
+  user.twoFactorEnabledAt     = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe — they will not be shown again.',
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+  if (await isTwoFactorRequiredFor(user)) {
+    throw new ApiError('Two-factor authentication is required for your role and cannot be disabled', 403);
+  }
+  if (!(await user.matchPassword(password))) {
+    throw new ApiError('Password is incorrect', 400);
+  }
+  if (!(await user.useTotpCode(code))) {
+    throw new ApiError('Invalid authentication code', 400);
+  }
+
+  user.twoFactorEnabled       = false;
+  user.twoFactorEnabledAt     = null;
+  user.twoFactorSecret        = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * @desc    Replace all recovery codes (requires a current code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactorSecret');
+  if (!user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+  if (!(await user.useTotpCode(req.body.code))) {
+    throw new ApiError('Invalid authentication code', 400);
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * @desc    Verify email address using token from the signup email
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new ApiError('Verification link is invalid or has expired', 400);
+  }
+
+  user.emailVerified            = true;
+  user.emailVerifiedAt          = new Date();
+  user.emailVerificationToken   = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: user.isApproved
+      ? 'Email verified successfully.'
+      : 'Email verified successfully. Your account is now waiting for admin approval.',
+  });
+});
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an unverified account with that email exists, a new verification link has been sent.',
+  };
+
+  // Same response whether or not the account exists, to prevent email enumeration
+  const user = await User.findOne({ email: req.body.email });
+  if (!user || user.emailVerified) {
+    return res.json(genericResponse);
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    user.emailVerificationToken   = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    throw new ApiError('There was an error sending the email. Please try again later.', 500);
+  }
+
+  res.json(genericResponse);
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshToken = asyncHandler(async (req, res) => {
+  const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+  if (!session) {
+    throw new ApiError('Invalid refresh token. Please login again.', 401);
+  }
+
+  // An already-rotated token was replayed — assume it leaked and kill the session
+  if (reused) {
+    await session.revoke('refresh_token_reuse');
+    throw new ApiError('Refresh token has already been used. Please login again.', 401);
+  }
+
+  if (!session.isValid) {
+    throw new ApiError('Session has ended. Please login again.', 401);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isApproved || !user.isActive) {
+    await session.revoke('account_inactive');
+    throw new ApiError('Account is no longer active. Please contact admin.', 403);
+  }
+
+  const newRefreshToken = await session.rotate(req);
+  const token = user.generateAuthToken(session._id);
+
+  res.json({
+    success: true,
+    data: { token, refreshToken: newRefreshToken },
+  });
+});
+
+/**
+ * @desc    Logout - revokes the current session
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // If implementing token blacklist, add token to blacklist here
+  if (req.impersonator) {
+    await req.session.revoke('impersonation_ended');
+    await AuditLog.record({
+      action:     'user.impersonate_end',
+      targetType: 'User',
+      targetId:   req.user._id,
+      meta:       { sessionId: req.session._id },
+    });
+    return res.json({ success: true, message: 'Impersonation ended' });
+  }
+
+  await req.session.revoke('logout');
+
   res.json({
     success: true,
     message: 'Logged out successfully',
   });
 });
 
+/**
+ * @desc    List the current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    impersonator: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((s) => ({
+      ...s.toJSON(),
+      isCurrent: s._id.toString() === req.session._id.toString(),
+    })),
+  });
+});
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+  if (!session) {
+    throw new ApiError('Session not found', 404);
+  }
+
+  await session.revoke('revoked_by_user');
+
+  res.json({
+    success: true,
+    message: 'Session revoked',
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Single sign-on (OpenID Connect)
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the user for a verified ID token: by linked identity first, then by
+ * email (linking it). Unknown emails get a new pending account.
+ */
+const resolveOidcUser = async (claims) => {
+  const { issuer } = oidc.getConfig();
+  const email = String(claims.email || '').toLowerCase().trim();
+  // Some providers (Azure AD, Cognito) send the claim as a string
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!email) throw new ApiError('Your identity provider did not share an email address', 400);
+
+  let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+  if (user) return user;
+
+  user = await User.findOne({ email });
+  if (user) {
+    if (user.oidcSubject && user.oidcIssuer === issuer) {
+      throw new ApiError('This account is linked to a different single sign-on identity', 409);
+    }
+    // Only link on an address the provider vouches for — a missing claim is not enough
+    if (!emailVerified) {
+      throw new ApiError('Verify your email with your identity provider before signing in', 403);
+    }
+    user.oidcIssuer  = issuer;
+    user.oidcSubject = claims.sub;
+    if (!user.emailVerified) {
+      user.emailVerified   = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  // Unmatched: same pending state as a normal signup, role from the claim mapping
+  return User.create({
+    name:            claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+    email,
+    // Random password — SSO users can set a real one through forgot-password
+    password:        crypto.randomBytes(32).toString('hex'),
+    role:            oidc.mapRole(claims),
+    isApproved:      false,
+    status:          'pending',
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : null,
+    oidcIssuer:      issuer,
+    oidcSubject:     claims.sub,
+  });
+};
+
+/**
+ * Checks shared by the callback and the exchange step, then either the 2FA
+ * challenge or a completed login.
+ */
+const finishOidcLogin = async (user, req, res) => {
+  await assertNotLocked(user, req, 'oidc');
+
+  if (!user.isApproved) {
+    await LoginEvent.record(req, { user, outcome: 'not_approved', method: 'oidc' });
+    throw new ApiError('Your account is pending approval. Please wait for admin approval.', 403);
+  }
+  if (!user.isActive) {
+    await LoginEvent.record(req, { user, outcome: 'deactivated', method: 'oidc' });
+    throw new ApiError('Your account has been deactivated. Please contact admin.', 403);
+  }
+
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        twoFactorToken: user.generateTwoFactorChallengeToken('oidc'),
+      },
+    });
+  }
+
+  await completeLogin(user, req, res, 'oidc');
+};
+
+const assertOidcEnabled = () => {
+  if (!oidc.isEnabled()) throw new ApiError('Single sign-on is not configured', 404);
+};
+
+/**
+ * @desc    Whether SSO is available (for the login page)
+ * @route   GET /api/auth/oidc/config
+ * @access  Public
+ */
+const getOidcConfig = asyncHandler(async (req, res) => {
+  const enabled = oidc.isEnabled();
+  res.json({
+    success: true,
+    data: {
+      enabled,
+      providerName: enabled ? oidc.getConfig().providerName : null,
+      loginUrl: enabled ? '/api/auth/oidc/login' : null,
+    },
+  });
+});
+
+/**
+ * @desc    Start SSO — redirects to the identity provider
+ *          (JSON { authorizationUrl } when the client asks for JSON)
+ * @route   GET /api/auth/oidc/login
+ * @access  Public
+ */
+const oidcLogin = asyncHandler(async (req, res) => {
+  assertOidcEnabled();
+
+  const state = oidc.randomToken();
+  const nonce = oidc.randomToken();
+  const { verifier, challenge } = oidc.createPkcePair();
+
+  let authorizationUrl;
+  try {
+    authorizationUrl = await oidc.buildAuthorizationUrl({ state, nonce, codeChallenge: challenge });
+  } catch (error) {
+    if (error instanceof oidc.OidcError) throw new ApiError(error.message, 502);
+    throw error;
+  }
+  await OidcAuthRequest.start({ state, nonce, codeVerifier: verifier });
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({ success: true, data: { authorizationUrl } });
+  }
+  res.redirect(authorizationUrl);
+});
+
+/**
+ * @desc    Identity provider redirect target. With OIDC_POST_LOGIN_REDIRECT set,
+ *          bounces to the frontend with ?code= (one-time, for /oidc/exchange)
+ *          or ?error=; otherwise responds like /login.
+ * @route   GET /api/auth/oidc/callback
+ * @access  Public
+ */
+const oidcCallback = asyncHandler(async (req, res) => {
+  const { postLoginRedirect } = oidc.getConfig();
+
+  const redirectWith = (params) => {
+    const url = new URL(postLoginRedirect);
+    Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
+    res.redirect(url.toString());
+  };
+
+  try {
+    assertOidcEnabled();
+
+    const { code, state, error, error_description: errorDescription } = req.query;
+    if (error) throw new ApiError(`Sign-in was cancelled or refused: ${errorDescription || error}`, 401);
+
+    const authRequest = await OidcAuthRequest.claimByState(state);
+    if (!authRequest) throw new ApiError('Sign-in attempt expired or already used. Please try again.', 400);
+
+    let claims;
+    try {
+      const tokens = await oidc.exchangeCode(code, authRequest.codeVerifier);
+      claims = await oidc.verifyIdToken(tokens.id_token, authRequest.nonce);
+      if (!claims.email) {
+        const info = await oidc.fetchUserInfo(tokens.access_token);
+        // userinfo must describe the same subject as the ID token
+        if (info.sub === claims.sub) {
+          claims = { ...claims, email: info.email, email_verified: info.email_verified, name: claims.name || info.name };
+        }
+      }
+    } catch (err) {
+      if (!(err instanceof oidc.OidcError)) throw err;
+      await LoginEvent.record(req, { outcome: 'failed_sso', method: 'oidc' });
+      throw new ApiError(`Single sign-on failed: ${err.message}`, 401);
+    }
+
+    const user = await resolveOidcUser(claims);
+
+    if (!postLoginRedirect) return await finishOidcLogin(user, req, res);
+
+    // Surface pending/deactivated/locked errors now; tokens are issued on exchange
+    if (!user.isApproved || !user.isActive || user.isLocked) {
+      await finishOidcLogin(user, req, res);
+    }
+    const exchangeCode = await authRequest.issueExchangeCode(user._id);
+    redirectWith({ code: exchangeCode });
+  } catch (error) {
+    if (!postLoginRedirect) throw error;
+    redirectWith({ error: error instanceof ApiError ? error.message : 'Single sign-on failed' });
+  }
+});
+
+/**
+ * @desc    Swap the one-time code from the callback redirect for tokens
+ * @route   POST /api/auth/oidc/exchange
+ * @access  Public
+ */
+const oidcExchange = asyncHandler(async (req, res) => {
+  assertOidcEnabled();
+
+  const userId = await OidcAuthRequest.consumeExchangeCode(req.body.code);
+  if (!userId) throw new ApiError('Sign-in code is invalid or has expired. Please try again.', 400);
+
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError('User not found', 404);
+
+  await finishOidcLogin(user, req, res);
+});
+
 module.exports = {
   signup,
   login,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getMe,
   updatePassword,
   updateProfile,
   forgotPassword,
   resetPassword,
   verifyResetToken,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  getOidcConfig,
+  oidcLogin,
+  oidcCallback,
+  oidcExchange,
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+const Client = require('../models/Client');
+const Profile = require('../models/Profile');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+/**
+ * @desc    List clients with their profile counts
+ * @route   GET /api/admin/clients
+ * @access  Admin (profiles.view)
+ */
+const getClients = asyncHandler(async (req, res) => {
+  const { search, active } = req.query;
+
+  const query = {};
+  if (search) query.name = { $regex: search, $options: 'i' };
+  if (active === 'true')  query.isActive = true;
+  if (active === 'false') query.isActive = false;
+
+  const [clients, counts] = await Promise.all([
+    Client.find(query).sort({ name: 1 }).lean(),
+    Profile.aggregate([
+      { $match: { client: { $ne: null }, archivedAt: null } },
+      { $group: { _id: '$client', profileCount: { $sum: 1 }, platforms: { $addToSet: '$platform' } } },
+    ]),
+  ]);
+
+  const byClient = new Map(counts.map((c) => [c._id.toString(), c]));
+  const data = clients.map((client) => {
+    const count = byClient.get(client._id.toString());
+    return {
+      ...client,
+      profileCount: count ? count.profileCount : 0,
+      platforms:    count ? count.platforms.filter(Boolean).sort() : [],
+    };
+  });
+
+  res.json({ success: true, count: data.length, data });
+});
+
+/**
+ * @desc    Get one client
+ * @route   GET /api/admin/clients/:id
+ * @access  Admin (profiles.view)
+ */
+const getClientById = asyncHandler(async (req, res) => {
+  const client = await Client.findById(req.params.id).populate('createdBy', 'name email');
+  if (!client) throw new ApiError('Client not found', 404);
+
+  const profiles = await Profile.find({ client: client._id, archivedAt: null })
+    .select('fullName email platform tags defaultWorker secondWorker overallPerformance')
+    .populate('defaultWorker', 'name email')
+    .populate('secondWorker', 'name email')
+    .sort({ fullName: 1 });
+
+  res.json({ success: true, data: { client, profiles } });
+});
+
+/**
+ * @desc    Create a client
+ * @route   POST /api/admin/clients
+ * @access  Admin (profiles.update)
+ */
+const createClient = asyncHandler(async (req, res) => {
+  const { name, contactName, contactEmail, notes } = req.body;
+
+  if (await Client.findOne({ name }).collation({ locale: 'en', strength: 2 })) {
+    throw new ApiError('A client with this name already exists', 400);
+  }
+
+  const client = await Client.create({ name, contactName, contactEmail, notes, createdBy: req.user._id });
+  res.status(201).json({ success: true, message: 'Client created', data: client });
+});
+
+/**
+ * @desc    Update a client
+ * @route   PUT /api/admin/clients/:id
+ * @access  Admin (profiles.update)
+ */
+const updateClient = asyncHandler(async (req, res) => {
+  const client = await Client.findById(req.params.id);
+  if (!client) throw new ApiError('Client not found', 404);
+
+  const allowed = ['name', 'contactName', 'contactEmail', 'notes', 'isActive'];
+  allowed.forEach((field) => { if (req.body[field] !== undefined) client[field] = req.body[field]; });
+  await client.save();
+
+  res.json({ success: true, message: 'Client updated', data: client });
+});
+
+/**
+ * @desc    Delete a client that no profile (archived or not) belongs to
+ * @route   DELETE /api/admin/clients/:id
+ * @access  Admin (profiles.update)
+ */
+const deleteClient = asyncHandler(async (req, res) => {
+  const client = await Client.findById(req.params.id);
+  if (!client) throw new ApiError('Client not found', 404);
+
+  const profileCount = await Profile.countDocuments({ client: client._id });
+  if (profileCount > 0) {
+    throw new ApiError(`${profileCount} profile(s) still belong to this client. Move them or deactivate the client instead.`, 409);
+  }
+
+  await Client.findByIdAndDelete(client._id);
+  res.json({ success: true, message: 'Client deleted' });
+});
+
+module.exports = {
+  getClients,
+  getClientById,
+  createClient,
+  updateClient,
+  deleteClient,
+};
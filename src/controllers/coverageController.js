@@ -0,0 +1,315 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Role = require('../models/Role');
+const CoverageRequest = require('../models/CoverageRequest');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { evaluateReassignment, addTemporaryAssignment } = require('../utils/assignmentRules');
+const { sendCoverageEmail } = require('../utils/sendEmail');
+
+const { PENDING_STATUSES } = CoverageRequest;
+
+const populateRequest = (query) => query
+  .populate('profile', 'fullName email archivedAt')
+  .populate('requester', 'name email')
+  .populate('requestedWorker', 'name email')
+  .populate('coveringWorker', 'name email')
+  .populate('reviewedBy', 'name email');
+
+/**
+ * Email everyone involved. Fire and forget — a mail outage must not fail
+ * the request that triggered it.
+ */
+const notify = (recipients, request, event) => {
+  const seen = new Set();
+  recipients
+    .filter((r) => r && r.email && !seen.has(r.email) && seen.add(r.email))
+    .forEach((r) => sendCoverageEmail(r, request, event)
+      .catch((error) => console.error(`Failed to send coverage ${event} email:`, error.message)));
+};
+
+/**
+ * Auto-cancel requests whose window has ended and tell the workers involved.
+ * Run before listing or acting on requests.
+ */
+const expireStaleRequests = async () => {
+  const expired = await CoverageRequest.expireStale();
+  expired.forEach((request) => notify([request.requester, request.coveringWorker], request, 'expired'));
+};
+
+const isEligibleWorker = (user) => user && user.role === 'user' && user.isActive && user.isApproved;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Worker side
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Ask for cover on one of your profiles
+ * @route   POST /api/user/coverage-requests
+ * @access  Worker (assigned to the profile)
+ */
+const createCoverageRequest = asyncHandler(async (req, res) => {
+  const { profileId, startDate, endDate, reason = '', requestedWorkerId } = req.body;
+  const start = new Date(startDate);
+  const end   = new Date(endDate);
+  if (end <= start) throw new ApiError('End date must be after start date', 400);
+  if (end <= new Date()) throw new ApiError('Coverage must end in the future', 400);
+
+  const profile = await Profile.findById(profileId);
+  if (!profile || profile.archivedAt) throw new ApiError('Profile not found', 404);
+
+  const me = req.user._id.toString();
+  const holdsProfile = [profile.defaultWorker, profile.secondWorker].some((w) => w?.toString() === me)
+    || profile.temporaryAssignments.some((a) => a.worker.toString() === me && a.startDate <= start && a.endDate >= end);
+  if (!holdsProfile) throw new ApiError('You are not assigned to this profile for those dates', 403);
+
+  let requestedWorker = null;
+  if (requestedWorkerId) {
+    if (requestedWorkerId.toString() === me) throw new ApiError('You cannot ask yourself to cover', 400);
+    requestedWorker = await User.findById(requestedWorkerId);
+    if (!isEligibleWorker(requestedWorker)) throw new ApiError('That colleague cannot take coverage', 400);
+  }
+
+  const overlapping = await CoverageRequest.exists({
+    profile: profile._id, requester: req.user._id, status: { $in: PENDING_STATUSES },
+    startDate: { $lt: end }, endDate: { $gt: start },
+  });
+  if (overlapping) throw new ApiError('You already have a pending coverage request for these dates', 409);
+
+  const request = await CoverageRequest.create({
+    profile: profile._id,
+    requester: req.user._id,
+    requestedWorker: requestedWorker ? requestedWorker._id : null,
+    startDate: start,
+    endDate: end,
+    reason,
+  });
+  await request.populate([
+    { path: 'profile', select: 'fullName email archivedAt' },
+    { path: 'requester', select: 'name email' },
+    { path: 'requestedWorker', select: 'name email' },
+  ]);
+
+  // Open requests are listed for every colleague; the named one (if any) and the admins get an email
+  notify([requestedWorker, ...(await Role.findUsersWithPermission('profiles.assign'))], request, 'created');
+
+  res.status(201).json({ success: true, message: 'Coverage request created', data: request });
+});
+
+/**
+ * @desc    Your coverage requests (view=mine, default) or requests you can
+ *          pick up (view=available)
+ * @route   GET /api/user/coverage-requests
+ * @access  Worker
+ */
+const getMyCoverageRequests = asyncHandler(async (req, res) => {
+  await expireStaleRequests();
+  const { view = 'mine', status } = req.query;
+
+  let query;
+  if (view === 'available') {
+    const archived = await Profile.find({ archivedAt: { $ne: null } }).distinct('_id');
+    query = {
+      status:    'open',
+      requester: { $ne: req.user._id },
+      profile:   { $nin: archived },
+      $or: [{ requestedWorker: null }, { requestedWorker: req.user._id }],
+    };
+  } else {
+    query = { $or: [{ requester: req.user._id }, { coveringWorker: req.user._id }, { requestedWorker: req.user._id }] };
+    if (status) query.status = status;
+  }
+
+  const requests = await populateRequest(CoverageRequest.find(query)).sort({ startDate: 1 }).limit(200);
+  res.json({ success: true, count: requests.length, data: requests });
+});
+
+/**
+ * @desc    Offer to cover an open request
+ * @route   POST /api/user/coverage-requests/:id/accept
+ * @access  Worker
+ */
+const acceptCoverageRequest = asyncHandler(async (req, res) => {
+  await expireStaleRequests();
+
+  const request = await CoverageRequest.findById(req.params.id);
+  if (!request) throw new ApiError('Coverage request not found', 404);
+  if (request.status !== 'open') throw new ApiError(`This request is already ${request.status}`, 400);
+  if (request.requester.toString() === req.user._id.toString()) throw new ApiError('You cannot cover your own request', 400);
+  if (request.requestedWorker && request.requestedWorker.toString() !== req.user._id.toString()) {
+    throw new ApiError('This request was sent to another colleague', 403);
+  }
+  if (!isEligibleWorker(req.user)) throw new ApiError('Your account cannot take coverage', 403);
+
+  const profile = await Profile.findById(request.profile);
+  if (!profile || profile.archivedAt) throw new ApiError('Profile not found', 404);
+
+  const { conflicts } = await evaluateReassignment(profile, req.user, {
+    permanent: false, start: request.startDate, end: request.endDate,
+  });
+  if (conflicts.length > 0) {
+    return res.status(409).json({ success: false, message: conflicts.map((c) => c.message).join('; '), data: { conflicts } });
+  }
+
+  // Claim atomically so two colleagues cannot both accept
+  const accepted = await populateRequest(CoverageRequest.findOneAndUpdate(
+    { _id: request._id, status: 'open' },
+    { status: 'accepted', coveringWorker: req.user._id, acceptedAt: new Date() },
+    { new: true }
+  ));
+  if (!accepted) throw new ApiError('Someone else has just accepted this request', 409);
+
+  notify([accepted.requester, ...(await Role.findUsersWithPermission('profiles.assign'))], accepted, 'accepted');
+
+  res.json({ success: true, message: 'Coverage accepted — waiting for admin approval', data: accepted });
+});
+
+/**
+ * @desc    Withdraw your own pending request
+ * @route   POST /api/user/coverage-requests/:id/cancel
+ * @access  Worker (requester)
+ */
+const cancelCoverageRequest = asyncHandler(async (req, res) => {
+  const request = await populateRequest(CoverageRequest.findById(req.params.id));
+  if (!request) throw new ApiError('Coverage request not found', 404);
+  if (request.requester._id.toString() !== req.user._id.toString()) throw new ApiError('Not your coverage request', 403);
+  if (!request.isPending) throw new ApiError(`This request is already ${request.status}`, 400);
+
+  // Only while still pending — an admin may be approving it right now
+  const cancelled = await populateRequest(CoverageRequest.findOneAndUpdate(
+    { _id: request._id, status: { $in: PENDING_STATUSES } },
+    { status: 'cancelled', closedAt: new Date() },
+    { new: true }
+  ));
+  if (!cancelled) throw new ApiError('This request has just been reviewed and can no longer be cancelled', 409);
+
+  if (cancelled.coveringWorker) notify([cancelled.coveringWorker], cancelled, 'cancelled');
+
+  res.json({ success: true, message: 'Coverage request cancelled', data: cancelled });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Admin side
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    List coverage requests
+ * @route   GET /api/admin/coverage-requests
+ * @access  Admin (profiles.assign)
+ */
+const getCoverageRequests = asyncHandler(async (req, res) => {
+  await expireStaleRequests();
+  const { page = 1, limit = 20, status, profileId, workerId } = req.query;
+
+  const query = {};
+  if (status)    query.status = status;
+  if (profileId) query.profile = profileId;
+  if (workerId)  query.$or = [{ requester: workerId }, { coveringWorker: workerId }];
+
+  const [requests, total] = await Promise.all([
+    populateRequest(CoverageRequest.find(query))
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    CoverageRequest.countDocuments(query),
+  ]);
+
+  res.json({ success: true, count: requests.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: requests });
+});
+
+/**
+ * @desc    Approve an accepted request — adds the temporary assignment
+ * @route   PUT /api/admin/coverage-requests/:id/approve
+ * @access  Admin (profiles.assign)
+ */
+const approveCoverageRequest = asyncHandler(async (req, res) => {
+  await expireStaleRequests();
+
+  const request = await populateRequest(CoverageRequest.findById(req.params.id));
+  if (!request) throw new ApiError('Coverage request not found', 404);
+  if (request.status !== 'accepted') {
+    throw new ApiError(request.status === 'open' ? 'No colleague has accepted this request yet' : `This request is already ${request.status}`, 400);
+  }
+
+  const profile = await Profile.findById(request.profile._id);
+  if (!profile || profile.archivedAt) throw new ApiError('Cannot assign workers to an archived profile', 400);
+  const coveringWorker = await User.findById(request.coveringWorker._id);
+  if (!isEligibleWorker(coveringWorker)) throw new ApiError('The covering worker can no longer take assignments', 400);
+
+  // Things may have changed since the colleague accepted
+  const { conflicts, capacity } = await evaluateReassignment(profile, coveringWorker, {
+    permanent: false, start: request.startDate, end: request.endDate,
+  });
+  if (conflicts.length > 0) {
+    return res.status(409).json({ success: false, message: conflicts.map((c) => c.message).join('; '), data: { conflicts, capacity } });
+  }
+
+  // Claim atomically so two admins approving at once cannot both add the assignment
+  const reviewedAt = new Date();
+  const claimed = await CoverageRequest.findOneAndUpdate(
+    { _id: request._id, status: 'accepted' },
+    { status: 'approved', reviewedBy: req.user._id, reviewedAt, reviewNote: req.body.note || '', closedAt: reviewedAt },
+    { new: true }
+  );
+  if (!claimed) throw new ApiError('This request has just been reviewed by someone else', 409);
+
+  let assignment;
+  try {
+    assignment = await addTemporaryAssignment(profile, {
+      worker:    coveringWorker._id,
+      startDate: request.startDate,
+      endDate:   request.endDate,
+      reason:    `Covering for ${request.requester.name}${request.reason ? `: ${request.reason}` : ''}`,
+    }, req.user._id);
+  } catch (error) {
+    // Hand the request back so it can be approved again
+    await CoverageRequest.updateOne(
+      { _id: request._id, status: 'approved' },
+      { status: 'accepted', reviewedBy: null, reviewedAt: null, reviewNote: '', closedAt: null }
+    );
+    throw error;
+  }
+
+  const approved = await populateRequest(CoverageRequest.findByIdAndUpdate(
+    request._id,
+    { temporaryAssignmentId: assignment._id },
+    { new: true }
+  ));
+
+  notify([approved.requester, approved.coveringWorker], approved, 'approved');
+
+  res.json({ success: true, message: 'Coverage approved and temporary assignment added', data: approved });
+});
+
+/**
+ * @desc    Reject a pending request
+ * @route   PUT /api/admin/coverage-requests/:id/reject
+ * @access  Admin (profiles.assign)
+ */
+const rejectCoverageRequest = asyncHandler(async (req, res) => {
+  const request = await populateRequest(CoverageRequest.findById(req.params.id));
+  if (!request) throw new ApiError('Coverage request not found', 404);
+  if (!request.isPending) throw new ApiError(`This request is already ${request.status}`, 400);
+
+  // Only while still pending — it may have just been approved or cancelled
+  const reviewedAt = new Date();
+  const rejected = await populateRequest(CoverageRequest.findOneAndUpdate(
+    { _id: request._id, status: { $in: PENDING_STATUSES } },
+    { status: 'rejected', reviewedBy: req.user._id, reviewedAt, reviewNote: req.body.note || '', closedAt: reviewedAt },
+    { new: true }
+  ));
+  if (!rejected) throw new ApiError('This request has just been reviewed or withdrawn by someone else', 409);
+
+  notify([rejected.requester, rejected.coveringWorker], rejected, 'rejected');
+
+  res.json({ success: true, message: 'Coverage request rejected', data: rejected });
+});
+
+module.exports = {
+  createCoverageRequest,
+  getMyCoverageRequests,
+  acceptCoverageRequest,
+  cancelCoverageRequest,
+  getCoverageRequests,
+  approveCoverageRequest,
+  rejectCoverageRequest,
+};
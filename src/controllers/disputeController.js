@@ -0,0 +1,259 @@
+const Entry = require('../models/Entry');
+const EntryDispute = require('../models/EntryDispute');
+const Role = require('../models/Role');
+const WeeklyPayment = require('../models/Payment');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { sendDisputeEmail } = require('../utils/sendEmail');
+
+const populateDispute = (query) => query
+  .populate('entry', 'date time quality adminTime adminQuality status')
+  .populate('profile', 'fullName email')
+  .populate('worker', 'name email')
+  .populate('resolvedBy', 'name email')
+  .populate('messages.author', 'name email');
+
+/**
+ * Email everyone involved. Fire and forget — a mail outage must not fail
+ * the request that triggered it.
+ */
+const notify = (recipients, dispute, event) => {
+  const seen = new Set();
+  recipients
+    .filter((r) => r && r.email && !seen.has(r.email) && seen.add(r.email))
+    .forEach((r) => sendDisputeEmail(r, dispute, event)
+      .catch((error) => console.error(`Failed to send dispute ${event} email:`, error.message)));
+};
+
+const effectiveValues = (entry) => ({
+  time:    entry.adminTime ?? entry.time,
+  quality: entry.adminQuality ?? entry.quality,
+});
+
+const wasAdjusted = (entry) =>
+  (entry.adminTime != null && entry.adminTime !== entry.time)
+  || (entry.adminQuality != null && entry.adminQuality !== entry.quality);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Worker side
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Dispute the time/quality an admin set when vetting your entry
+ * @route   PUT /api/user/entry/:id/dispute
+ * @access  Worker (entry owner)
+ */
+const openEntryDispute = asyncHandler(async (req, res) => {
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) throw new ApiError('Entry not found', 404);
+  if (entry.worker.toString() !== req.user._id.toString()) {
+    throw new ApiError('You can only dispute your own entries', 403);
+  }
+  if (entry.status !== 'approved') throw new ApiError('Only vetted entries can be disputed', 400);
+  if (!wasAdjusted(entry)) throw new ApiError('The admin did not change this entry\'s values', 400);
+  if (await EntryDispute.exists({ entry: entry._id, status: 'open' })) {
+    throw new ApiError('This entry already has an open dispute', 409);
+  }
+
+  let dispute;
+  try {
+    dispute = await EntryDispute.create({
+      entry:        entry._id,
+      worker:       entry.worker,
+      profile:      entry.profile,
+      evidence:     req.body.evidence,
+      workerValues: { time: entry.time, quality: entry.quality },
+      adminValues:  { time: entry.adminTime ?? null, quality: entry.adminQuality ?? null },
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new ApiError('This entry already has an open dispute', 409);
+    throw error;
+  }
+  dispute = await populateDispute(EntryDispute.findById(dispute._id));
+
+  notify(await Role.findUsersWithPermission('entries.vet'), dispute, 'opened');
+
+  res.status(201).json({ success: true, message: 'Dispute opened', data: dispute });
+});
+
+/**
+ * @desc    Your disputes
+ * @route   GET /api/user/disputes
+ * @access  Worker
+ */
+const getMyDisputes = asyncHandler(async (req, res) => {
+  const query = { worker: req.user._id };
+  if (req.query.status) query.status = req.query.status;
+
+  const disputes = await populateDispute(EntryDispute.find(query)).sort({ createdAt: -1 }).limit(200);
+  res.json({ success: true, count: disputes.length, data: disputes });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Thread (both sides)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Add a message to an open dispute's thread. Workers can only post on their
+ * own disputes; the other side gets an email.
+ */
+const postDisputeMessage = (fromRole) => asyncHandler(async (req, res) => {
+  const dispute = await EntryDispute.findById(req.params.id);
+  if (!dispute) throw new ApiError('Dispute not found', 404);
+  if (fromRole === 'worker' && dispute.worker.toString() !== req.user._id.toString()) {
+    throw new ApiError('Dispute not found', 404);
+  }
+  if (dispute.status !== 'open') throw new ApiError('This dispute has been resolved', 400);
+
+  dispute.messages.push({ author: req.user._id, fromRole, body: req.body.body });
+  await dispute.save();
+
+  const populated = await populateDispute(EntryDispute.findById(dispute._id));
+  const recipients = fromRole === 'admin'
+    ? [populated.worker]
+    : await Role.findUsersWithPermission('entries.vet');
+  notify(recipients, populated, 'message');
+
+  res.status(201).json({ success: true, message: 'Reply added', data: populated });
+});
+
+/**
+ * @desc    Reply on your dispute
+ * @route   POST /api/user/disputes/:id/messages
+ * @access  Worker (dispute owner)
+ */
+const addWorkerDisputeMessage = postDisputeMessage('worker');
+
+/**
+ * @desc    Respond to a dispute
+ * @route   POST /api/admin/disputes/:id/messages
+ * @access  Admin (entries.vet)
+ */
+const addAdminDisputeMessage = postDisputeMessage('admin');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Admin side
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    List disputes
+ * @route   GET /api/admin/disputes
+ * @access  Admin (entries.vet)
+ */
+const getDisputes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, workerId, profileId } = req.query;
+
+  const query = {};
+  if (status)    query.status = status;
+  if (workerId)  query.worker = workerId;
+  if (profileId) query.profile = profileId;
+
+  const [disputes, total] = await Promise.all([
+    populateDispute(EntryDispute.find(query))
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    EntryDispute.countDocuments(query),
+  ]);
+
+  res.json({ success: true, count: disputes.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: disputes });
+});
+
+/**
+ * @desc    Get one dispute with its thread
+ * @route   GET /api/admin/disputes/:id
+ * @access  Admin (entries.vet)
+ */
+const getDisputeById = asyncHandler(async (req, res) => {
+  const dispute = await populateDispute(EntryDispute.findById(req.params.id));
+  if (!dispute) throw new ApiError('Dispute not found', 404);
+  res.json({ success: true, data: dispute });
+});
+
+// What the resolve response says about the week's payment
+const paymentMessages = {
+  recalculated: ' — weekly payment recalculated',
+  locked:       ' — the week\'s payment is already approved or paid and was not changed; settle the difference separately',
+  failed:       ' — the weekly payment could not be recalculated; fix it from the payments page',
+};
+
+/**
+ * @desc    Resolve a dispute: accept the worker's values, keep the admin's,
+ *          or enter new ones. The week's payment is recalculated when the
+ *          counted values change, unless it is already approved or paid.
+ *          paymentUpdate records the result: recalculated | locked | failed.
+ * @route   PUT /api/admin/disputes/:id/resolve
+ * @access  Admin (entries.vet)
+ */
+const resolveDispute = asyncHandler(async (req, res) => {
+  const { outcome, time, quality, note = '' } = req.body;
+
+  const dispute = await EntryDispute.findById(req.params.id);
+  if (!dispute) throw new ApiError('Dispute not found', 404);
+  if (dispute.status !== 'open') throw new ApiError('This dispute has already been resolved', 400);
+
+  const entry = await Entry.findById(dispute.entry);
+  if (!entry) throw new ApiError('The disputed entry no longer exists', 409);
+  if (entry.status !== 'approved') {
+    throw new ApiError(`The disputed entry is no longer approved (now ${entry.status.replace('_', ' ')})`, 409);
+  }
+
+  const before = effectiveValues(entry);
+  if (outcome === 'worker_values') {
+    entry.adminTime    = entry.time;
+    entry.adminQuality = entry.quality;
+  } else if (outcome === 'custom') {
+    if (time === undefined && quality === undefined) {
+      throw new ApiError('Provide time and/or quality for a custom resolution', 400);
+    }
+    if (time !== undefined)    entry.adminTime    = time;
+    if (quality !== undefined) entry.adminQuality = quality;
+  }
+
+  const after = effectiveValues(entry);
+  const payChanged = before.time !== after.time || before.quality !== after.quality;
+
+  if (entry.isModified()) {
+    entry.reviewedBy = req.user._id;
+    entry.reviewedAt = new Date();
+    await entry.trackRevision('dispute', req.user._id, dispute._id).save();
+  }
+  let paymentUpdate = null;
+  if (payChanged) {
+    try {
+      const { locked } = await WeeklyPayment.recalculateForEntry(entry);
+      paymentUpdate = locked ? 'locked' : 'recalculated';
+    } catch (err) {
+      console.error('Failed to recalculate weekly payment after dispute:', err);
+      paymentUpdate = 'failed';
+    }
+  }
+
+  dispute.status         = 'resolved';
+  dispute.outcome        = outcome;
+  dispute.resolvedValues = after;
+  dispute.resolutionNote = note;
+  dispute.resolvedBy     = req.user._id;
+  dispute.resolvedAt     = new Date();
+  dispute.payChanged     = payChanged;
+  dispute.paymentUpdate  = paymentUpdate;
+  await dispute.save();
+
+  const populated = await populateDispute(EntryDispute.findById(dispute._id));
+  notify([populated.worker], populated, 'resolved');
+
+  res.json({
+    success: true,
+    message: `Dispute resolved${paymentMessages[paymentUpdate] || ''}`,
+    data: populated,
+  });
+});
+
+module.exports = {
+  openEntryDispute,
+  getMyDisputes,
+  addWorkerDisputeMessage,
+  addAdminDisputeMessage,
+  getDisputes,
+  getDisputeById,
+  resolveDispute,
+};
@@ -0,0 +1,226 @@
+const Entry = require('../models/Entry');
+const EntryRevision = require('../models/EntryRevision');
+const storage = require('../utils/storage');
+const { ATTACHMENT_TYPES } = require('../middleware/upload');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+const findRevisions = (entryId, changedByFields = 'name email role') => EntryRevision.find({ entry: entryId })
+  .populate('changedBy', changedByFields)
+  .sort({ createdAt: 1 });
+
+/**
+ * @desc    Full revision history of an entry, oldest first. Still available
+ *          after the entry has been deleted.
+ * @route   GET /api/admin/entries/:id/history
+ * @access  Admin (entries.view)
+ */
+const getEntryHistory = asyncHandler(async (req, res) => {
+  const [entry, revisions] = await Promise.all([
+    Entry.findById(req.params.id)
+      .populate('profile', 'fullName email')
+      .populate('worker', 'name email'),
+    findRevisions(req.params.id),
+  ]);
+  if (!entry && revisions.length === 0) throw new ApiError('Entry not found', 404);
+
+  res.json({ success: true, count: revisions.length, data: { entry, revisions } });
+});
+
+/**
+ * @desc    Revision history of one of your own entries, oldest first
+ * @route   GET /api/user/entry/:id/history
+ * @access  Worker (entry owner)
+ */
+const getMyEntryHistory = asyncHandler(async (req, res) => {
+  const entry = await Entry.findById(req.params.id).populate('profile', 'fullName');
+  if (!entry || entry.worker.toString() !== req.user._id.toString()) {
+    throw new ApiError('Entry not found', 404);
+  }
+
+  const revisions = await findRevisions(entry._id, 'name role');
+  res.json({ success: true, count: revisions.length, data: { entry, revisions } });
+});
+
+// ---------------------------------------------------------------------------
+// Attachments (screenshots / reports backing an entry's time and quality)
+// ---------------------------------------------------------------------------
+
+const findOwnEntry = async (req) => {
+  const entry = await Entry.findById(req.params.id);
+  if (!entry || entry.worker.toString() !== req.user._id.toString()) {
+    throw new ApiError('Entry not found', 404);
+  }
+  return entry;
+};
+
+const findAttachment = (entry, attachmentId) => {
+  const attachment = entry.attachments.id(attachmentId);
+  if (!attachment) throw new ApiError('Attachment not found', 404);
+  return attachment;
+};
+
+// Stream from the driver, or redirect when the file has its own public URL
+const sendAttachment = async (res, attachment) => {
+  const driver = storage.getDriver(attachment.driver);
+  if (!driver.open) return res.redirect(attachment.url);
+
+  let stream;
+  try {
+    stream = await driver.open(attachment);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new ApiError('Attachment file is missing from storage', 404);
+    throw err;
+  }
+  res.set({
+    'Content-Type':           attachment.mimeType,
+    'Content-Length':         attachment.size,
+    'Content-Disposition':    `inline; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+    'X-Content-Type-Options': 'nosniff',
+  });
+  stream.on('error', (err) => res.destroy(err));
+  stream.pipe(res);
+};
+
+const removeAttachment = async (entry, attachment) => {
+  entry.attachments.pull(attachment._id);
+  await entry.save();
+  await Entry.removeAttachmentFiles([attachment]);
+};
+
+/**
+ * @desc    Upload evidence files to one of your own entries
+ * @route   POST /api/user/entry/:id/attachments  (multipart, field "files")
+ * @access  Worker (entry owner)
+ */
+const uploadEntryAttachments = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req);
+  if (entry.status === 'rejected') {
+    throw new ApiError('This entry was rejected and can no longer be changed', 400);
+  }
+  if (entry.attachments.length + req.files.length > Entry.MAX_ATTACHMENTS) {
+    throw new ApiError(
+      `An entry can have at most ${Entry.MAX_ATTACHMENTS} attachments (${entry.attachments.length} already attached)`,
+      400
+    );
+  }
+
+  const driver = storage.getDriver();
+  const stored = [];
+  try {
+    for (const file of req.files) {
+      const { key, url } = await driver.put({
+        buffer:    file.buffer,
+        folder:    'entries',
+        mimeType:  file.mimetype,
+        extension: ATTACHMENT_TYPES[file.mimetype],
+      });
+      stored.push({
+        driver:       driver.name,
+        key,
+        url,
+        originalName: file.originalname,
+        mimeType:     file.mimetype,
+        size:         file.size,
+        uploadedBy:   req.user._id,
+      });
+    }
+    entry.attachments.push(...stored);
+    await entry.save();
+  } catch (err) {
+    // Don't leave orphaned files behind a failed upload
+    await Entry.removeAttachmentFiles(stored);
+    throw err;
+  }
+
+  const added = entry.attachments.slice(-stored.length);
+  res.status(201).json({
+    success: true,
+    message: `${added.length} attachment${added.length === 1 ? '' : 's'} uploaded`,
+    data: added,
+  });
+});
+
+/**
+ * @desc    List the attachments on one of your own entries
+ * @route   GET /api/user/entry/:id/attachments
+ * @access  Worker (entry owner)
+ */
+const getMyEntryAttachments = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req);
+  res.json({ success: true, count: entry.attachments.length, data: entry.attachments });
+});
+
+/**
+ * @desc    Download an attachment from one of your own entries
+ * @route   GET /api/user/entry/:id/attachments/:attachmentId
+ * @access  Worker (entry owner)
+ */
+const downloadMyEntryAttachment = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req);
+  await sendAttachment(res, findAttachment(entry, req.params.attachmentId));
+});
+
+/**
+ * @desc    Remove an attachment from one of your own entries. Once an entry
+ *          has been approved (or rejected) only an admin can remove evidence.
+ * @route   DELETE /api/user/entry/:id/attachments/:attachmentId
+ * @access  Worker (entry owner)
+ */
+const deleteMyEntryAttachment = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req);
+  const attachment = findAttachment(entry, req.params.attachmentId);
+  if (['approved', 'rejected'].includes(entry.status)) {
+    throw new ApiError(`Attachments on ${entry.status} entries can only be removed by an admin`, 403);
+  }
+
+  await removeAttachment(entry, attachment);
+  res.json({ success: true, message: 'Attachment removed' });
+});
+
+/**
+ * @desc    List the attachments on an entry
+ * @route   GET /api/admin/entries/:id/attachments
+ * @access  Admin (entries.view)
+ */
+const getEntryAttachments = asyncHandler(async (req, res) => {
+  const entry = await Entry.findById(req.params.id).populate('attachments.uploadedBy', 'name email role');
+  if (!entry) throw new ApiError('Entry not found', 404);
+  res.json({ success: true, count: entry.attachments.length, data: entry.attachments });
+});
+
+/**
+ * @desc    Download an attachment from an entry
+ * @route   GET /api/admin/entries/:id/attachments/:attachmentId
+ * @access  Admin (entries.view)
+ */
+const downloadEntryAttachment = asyncHandler(async (req, res) => {
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) throw new ApiError('Entry not found', 404);
+  await sendAttachment(res, findAttachment(entry, req.params.attachmentId));
+});
+
+/**
+ * @desc    Remove an attachment from an entry, whatever its status
+ * @route   DELETE /api/admin/entries/:id/attachments/:attachmentId
+ * @access  Admin (entries.vet)
+ */
+const deleteEntryAttachment = asyncHandler(async (req, res) => {
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) throw new ApiError('Entry not found', 404);
+  const attachment = findAttachment(entry, req.params.attachmentId);
+
+  await removeAttachment(entry, attachment);
+  res.json({ success: true, message: 'Attachment removed' });
+});
+
+module.exports = {
+  getEntryHistory,
+  getMyEntryHistory,
+  uploadEntryAttachments,
+  getMyEntryAttachments,
+  downloadMyEntryAttachment,
+  deleteMyEntryAttachment,
+  getEntryAttachments,
+  downloadEntryAttachment,
+  deleteEntryAttachment,
+};
@@ -2,10 +2,30 @@ const authController = require('./authController');
 const userController = require('./userController');
 const adminController = require('./adminController');
 const superAdminController = require('./superAdminController');
+const invitationController = require('./invitationController');
+const auditLogController = require('./auditLogController');
+const roleController = require('./roleController');
+const apiKeyController = require('./apiKeyController');
+const assignmentController = require('./assignmentController');
+const coverageController = require('./coverageController');
+const clientController = require('./clientController');
+const profileNoteController = require('./profileNoteController');
+const disputeController = require('./disputeController');
+const entryController = require('./entryController');
 
 module.exports = {
   authController,
   userController,
   adminController,
   superAdminController,
+  invitationController,
+  auditLogController,
+  roleController,
+  apiKeyController,
+  assignmentController,
+  coverageController,
+  clientController,
+  profileNoteController,
+  disputeController,
+  entryController,
 };
@@ -0,0 +1,276 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Invitation = require('../models/Invitation');
+const AssignmentHistory = require('../models/AssignmentHistory');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { sendInvitationEmail } = require('../utils/sendEmail');
+const { assertCapacity } = require('../utils/assignmentRules');
+
+/**
+ * Put the worker into the first free permanent slot of the profile, within
+ * their capacity limit. Returns { slot } with the slot used, or
+ * { slot: null, reason } when the profile is gone, both slots are taken by
+ * someone else, or the worker is at capacity.
+ * assignedBy (the inviter) is recorded in the assignment history.
+ */
+const assignToFreeSlot = async (profileId, worker, assignedBy = null) => {
+  const profile = await Profile.findById(profileId);
+  if (!profile || profile.archivedAt) return { slot: null, reason: 'Profile no longer exists' };
+
+  const id = worker._id.toString();
+  if (profile.defaultWorker?.toString() === id) return { slot: 'default' };
+  if (profile.secondWorker?.toString() === id) return { slot: 'second' };
+
+  const field = !profile.defaultWorker ? 'defaultWorker' : !profile.secondWorker ? 'secondWorker' : null;
+  if (!field) return { slot: null, reason: 'Both slots are taken' };
+
+  try {
+    await assertCapacity(worker, profile._id);
+  } catch (error) {
+    if (!(error instanceof ApiError)) throw error;
+    return { slot: null, reason: error.message };
+  }
+
+  await AssignmentHistory.ensureSeeded(profile);
+  const slot = field === 'defaultWorker' ? 'default' : 'second';
+  profile[field] = worker._id;
+  await profile.save();
+  await AssignmentHistory.recordPermanentChange({ profile, slot, toWorker: worker._id, changedBy: assignedBy, reason: 'Invitation accepted' });
+  return { slot };
+};
+
+/**
+ * @desc    Invite someone by email (optionally pre-assigning profiles)
+ * @route   POST /api/admin/invitations
+ * @access  Admin (only superadmin may invite admins)
+ */
+const createInvitation = asyncHandler(async (req, res) => {
+  const { email, name, role = 'user', profileIds = [] } = req.body;
+
+  if (role === 'admin' && req.user.role !== 'superadmin') {
+    throw new ApiError('Only a superadmin can invite admins', 403);
+  }
+  if (role === 'admin' && profileIds.length > 0) {
+    throw new ApiError('Profiles can only be pre-assigned to workers', 400);
+  }
+
+  if (await User.findOne({ email })) {
+    throw new ApiError('A user with this email already exists', 400);
+  }
+  const existing = await Invitation.findOne({ email, status: 'pending', expiresAt: { $gt: new Date() } });
+  if (existing) {
+    throw new ApiError('A pending invitation already exists for this email. Resend it instead.', 400);
+  }
+
+  if (profileIds.length > 0) {
+    const profiles = await Profile.find({ _id: { $in: profileIds } });
+    if (profiles.length !== new Set(profileIds.map(String)).size) {
+      throw new ApiError('One or more profiles not found', 404);
+    }
+    const archived = profiles.filter((p) => p.archivedAt);
+    if (archived.length > 0) {
+      throw new ApiError(`Profile(s) are archived: ${archived.map((p) => p.fullName).join(', ')}`, 400);
+    }
+    const full = profiles.filter((p) => p.defaultWorker && p.secondWorker);
+    if (full.length > 0) {
+      throw new ApiError(`Profile(s) already have two workers: ${full.map((p) => p.fullName).join(', ')}`, 400);
+    }
+  }
+
+  const invitation = new Invitation({
+    email,
+    name,
+    role,
+    assignedProfiles: profileIds,
+    invitedBy: req.user._id,
+  });
+  const token = invitation.createToken();
+  // Save before sending, so a link that goes out always resolves
+  await invitation.save();
+
+  try {
+    await sendInvitationEmail(invitation, token, req.user.name);
+  } catch (error) {
+    await Invitation.deleteOne({ _id: invitation._id });
+    throw new ApiError('There was an error sending the invitation email. Please try again later.', 500);
+  }
+
+  invitation.lastSentAt = new Date();
+  invitation.sendCount  = 1;
+  await invitation.save();
+
+  res.status(201).json({ success: true, message: `Invitation sent to ${email}`, data: invitation });
+});
+
+/**
+ * @desc    List invitations (defaults to pending, including recently expired)
+ * @route   GET /api/admin/invitations
+ * @access  Admin
+ */
+const getInvitations = asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 50 } = req.query;
+  const query = {};
+  if (status !== 'all') query.status = status;
+
+  const [invitations, total] = await Promise.all([
+    Invitation.find(query)
+      .populate('invitedBy',        'name email')
+      .populate('assignedProfiles', 'fullName email')
+      .populate('acceptedUser',     'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Invitation.countDocuments(query),
+  ]);
+
+  res.json({ success: true, count: invitations.length, total, page: parseInt(page), pages: Math.ceil(total / limit), data: invitations });
+});
+
+/**
+ * @desc    Resend an invitation with a fresh link (old link stops working)
+ * @route   POST /api/admin/invitations/:id/resend
+ * @access  Admin
+ */
+const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id).select('+tokenHash');
+  if (!invitation) throw new ApiError('Invitation not found', 404);
+  if (invitation.status !== 'pending') throw new ApiError(`Invitation has already been ${invitation.status}`, 400);
+
+  // Save the new link before sending it; if sending fails the previous link keeps working
+  const previous = { tokenHash: invitation.tokenHash, expiresAt: invitation.expiresAt };
+  const token = invitation.createToken();
+  await invitation.save();
+
+  try {
+    await sendInvitationEmail(invitation, token, req.user.name);
+  } catch (error) {
+    invitation.set(previous);
+    await invitation.save();
+    throw new ApiError('There was an error sending the invitation email. Please try again later.', 500);
+  }
+
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  res.json({ success: true, message: `Invitation resent to ${invitation.email}`, data: invitation });
+});
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/admin/invitations/:id
+ * @access  Admin
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) throw new ApiError('Invitation not found', 404);
+  if (invitation.status !== 'pending') throw new ApiError(`Invitation has already been ${invitation.status}`, 400);
+
+  invitation.status    = 'revoked';
+  invitation.revokedBy = req.user._id;
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  res.json({ success: true, message: 'Invitation revoked', data: invitation });
+});
+
+/**
+ * @desc    Check an invitation link before showing the signup form
+ * @route   GET /api/auth/invitations/:token
+ * @access  Public
+ */
+const getInvitationByToken = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findValidByToken(req.params.token);
+  if (!invitation) throw new ApiError('Invitation is invalid or has expired', 400);
+
+  res.json({
+    success: true,
+    data: { email: invitation.email, name: invitation.name, role: invitation.role, expiresAt: invitation.expiresAt },
+  });
+});
+
+/**
+ * @desc    Accept an invitation — creates an approved user with the pre-assigned profiles
+ * @route   POST /api/auth/invitations/:token/accept
+ * @access  Public
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { name, password } = req.body;
+
+  const invitation = await Invitation.findValidByToken(req.params.token);
+  if (!invitation) throw new ApiError('Invitation is invalid or has expired', 400);
+
+  if (await User.findOne({ email: invitation.email })) {
+    throw new ApiError('An account with this email already exists. Please login instead.', 400);
+  }
+
+  // Claim the invitation first so a double-submit can't create two users
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { status: 'accepted', acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) throw new ApiError('Invitation has already been used', 400);
+
+  let user;
+  try {
+    user = await User.create({
+      email:           invitation.email,
+      password,
+      name:            name || invitation.name,
+      role:            invitation.role,
+      isApproved:      true,
+      status:          'approved',
+      emailVerified:   true,
+      emailVerifiedAt: new Date(),
+    });
+  } catch (error) {
+    await Invitation.findByIdAndUpdate(invitation._id, { status: 'pending', acceptedAt: null });
+    throw error;
+  }
+
+  // Fill profile slots; a slot may have been taken (or the worker's capacity
+  // lowered) since the invite was sent
+  const assigned = [];
+  const skipped  = [];
+  const skipReasons = {};
+  for (const profileId of invitation.assignedProfiles) {
+    const { slot, reason } = await assignToFreeSlot(profileId, user, invitation.invitedBy);
+    if (slot) {
+      assigned.push(profileId);
+    } else {
+      skipped.push(profileId);
+      skipReasons[profileId] = reason;
+    }
+  }
+  if (assigned.length > 0) {
+    user.assignedProfiles = assigned;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  claimed.acceptedUser = user._id;
+  await claimed.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Account created successfully. You can now log in.',
+    data: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      assignedProfiles: assigned,
+      unassignedProfiles: skipped,
+      unassignedReasons: skipReasons,
+    },
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+};
@@ -0,0 +1,107 @@
+const ProfileNote = require('../models/ProfileNote');
+const Profile = require('../models/Profile');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+const findProfileNote = async (req) => {
+  const note = await ProfileNote.findOne({ _id: req.params.noteId, profile: req.params.id });
+  if (!note) throw new ApiError('Note not found', 404);
+  return note;
+};
+
+// Only the author (or a superadmin) may reword or delete a note
+const assertCanModify = (note, user) => {
+  if (user.role !== 'superadmin' && note.author.toString() !== user._id.toString()) {
+    throw new ApiError('Only the author can change this note', 403);
+  }
+};
+
+const populateNote = (note) => note.populate([
+  { path: 'author', select: 'name email' },
+  { path: 'lastEditedBy', select: 'name email' },
+  { path: 'edits.editedBy', select: 'name email' },
+]);
+
+/**
+ * @desc    List a profile's notes, pinned first then newest
+ * @route   GET /api/admin/profile/:id/notes
+ * @access  Admin (profiles.view)
+ */
+const getProfileNotes = asyncHandler(async (req, res) => {
+  if (!(await Profile.exists({ _id: req.params.id }))) throw new ApiError('Profile not found', 404);
+
+  const query = { profile: req.params.id };
+  if (req.query.visibility) query.visibility = req.query.visibility;
+  if (req.query.pinned !== undefined) query.pinned = req.query.pinned === 'true';
+
+  const notes = await ProfileNote.find(query)
+    .populate('author', 'name email')
+    .populate('lastEditedBy', 'name email')
+    .populate('edits.editedBy', 'name email')
+    .sort({ pinned: -1, createdAt: -1 });
+
+  res.json({ success: true, count: notes.length, data: notes });
+});
+
+/**
+ * @desc    Add a note to a profile
+ * @route   POST /api/admin/profile/:id/notes
+ * @access  Admin (profiles.update)
+ */
+const createProfileNote = asyncHandler(async (req, res) => {
+  if (!(await Profile.exists({ _id: req.params.id }))) throw new ApiError('Profile not found', 404);
+
+  const { body, pinned, visibility } = req.body;
+  const note = await ProfileNote.create({
+    profile: req.params.id,
+    author:  req.user._id,
+    body,
+    pinned,
+    visibility,
+  });
+
+  res.status(201).json({ success: true, message: 'Note added', data: await populateNote(note) });
+});
+
+/**
+ * @desc    Edit a note. Rewording is limited to its author and keeps the old
+ *          text in the edit history; pinned/visibility can be changed by any admin.
+ * @route   PUT /api/admin/profile/:id/notes/:noteId
+ * @access  Admin (profiles.update)
+ */
+const updateProfileNote = asyncHandler(async (req, res) => {
+  const { body, pinned, visibility } = req.body;
+  if (body === undefined && pinned === undefined && visibility === undefined) {
+    throw new ApiError('Provide at least one of body, pinned or visibility', 400);
+  }
+  const note = await findProfileNote(req);
+
+  if (body !== undefined && body !== note.body) {
+    assertCanModify(note, req.user);
+    note.editBody(body, req.user._id);
+  }
+  if (pinned !== undefined)     note.pinned = pinned;
+  if (visibility !== undefined) note.visibility = visibility;
+  await note.save();
+
+  res.json({ success: true, message: 'Note updated', data: await populateNote(note) });
+});
+
+/**
+ * @desc    Delete a note
+ * @route   DELETE /api/admin/profile/:id/notes/:noteId
+ * @access  Admin (profiles.update, author or superadmin)
+ */
+const deleteProfileNote = asyncHandler(async (req, res) => {
+  const note = await findProfileNote(req);
+  assertCanModify(note, req.user);
+
+  await ProfileNote.findByIdAndDelete(note._id);
+  res.json({ success: true, message: 'Note deleted' });
+});
+
+module.exports = {
+  getProfileNotes,
+  createProfileNote,
+  updateProfileNote,
+  deleteProfileNote,
+};
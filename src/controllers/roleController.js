@@ -0,0 +1,142 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @desc    List every permission in the catalog
+ * @route   GET /api/superadmin/permissions
+ * @access  Superadmin
+ */
+const getPermissionCatalog = asyncHandler(async (req, res) => {
+  const data = Object.entries(PERMISSIONS).map(([name, p]) => ({
+    name,
+    group: p.group,
+    description: p.description,
+    assignable: p.assignable !== false,
+  }));
+  res.json({ success: true, count: data.length, data });
+});
+
+/**
+ * @desc    List roles with the number of admins using each
+ * @route   GET /api/superadmin/roles
+ * @access  Superadmin
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const defaultRole = await Role.getDefaultAdminRole();
+  const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+  const counts = await User.aggregate([
+    { $match: { role: 'admin' } },
+    { $group: { _id: { $ifNull: ['$accessRole', defaultRole._id] }, count: { $sum: 1 } } },
+  ]);
+  const countMap = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+  res.json({
+    success: true,
+    count: roles.length,
+    data: roles.map((r) => ({ ...r, adminCount: countMap.get(r._id.toString()) || 0 })),
+  });
+});
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/superadmin/roles
+ * @access  Superadmin
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const { name, label, description, permissions = [] } = req.body;
+
+  if (await Role.findOne({ name: name.toLowerCase() })) {
+    throw new ApiError('A role with this name already exists', 400);
+  }
+
+  const role = await Role.create({
+    name,
+    label,
+    description,
+    permissions: [...new Set(permissions)],
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({ success: true, message: 'Role created', data: role });
+});
+
+/**
+ * @desc    Update a role's label, description or permissions
+ * @route   PUT /api/superadmin/roles/:id
+ * @access  Superadmin
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+  if (!role) throw new ApiError('Role not found', 404);
+
+  if (req.body.name !== undefined && role.isSystem && req.body.name !== role.name) {
+    throw new ApiError('Built-in roles cannot be renamed', 400);
+  }
+
+  const allowed = ['name', 'label', 'description', 'permissions'];
+  allowed.forEach((field) => { if (req.body[field] !== undefined) role[field] = req.body[field]; });
+  if (req.body.permissions !== undefined) role.permissions = [...new Set(req.body.permissions)];
+  await role.save();
+
+  res.json({ success: true, message: 'Role updated', data: role });
+});
+
+/**
+ * @desc    Delete a role (refused while admins still use it)
+ * @route   DELETE /api/superadmin/roles/:id
+ * @access  Superadmin
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+  if (!role) throw new ApiError('Role not found', 404);
+  if (role.isSystem) throw new ApiError('Built-in roles cannot be deleted', 400);
+
+  const inUse = await User.countDocuments({ accessRole: role._id });
+  if (inUse > 0) {
+    throw new ApiError(`Role is assigned to ${inUse} admin(s). Reassign them first.`, 400);
+  }
+
+  await Role.findByIdAndDelete(role._id);
+  res.json({ success: true, message: 'Role deleted' });
+});
+
+/**
+ * @desc    Set which role an admin account uses (roleId null → built-in admin role)
+ * @route   PUT /api/superadmin/users/:id/access-role
+ * @access  Superadmin
+ */
+const setUserAccessRole = asyncHandler(async (req, res) => {
+  const { roleId } = req.body;
+
+  const user = await User.findById(req.params.id);
+  if (!user) throw new ApiError('User not found', 404);
+  if (user.role !== 'admin') throw new ApiError('Roles can only be assigned to admin accounts', 400);
+
+  let role = null;
+  if (roleId) {
+    role = await Role.findById(roleId);
+    if (!role) throw new ApiError('Role not found', 404);
+  }
+
+  user.accessRole = role && !role.isSystem ? role._id : null;
+  await user.save({ validateBeforeSave: false });
+
+  const effectiveRole = role || (await Role.getDefaultAdminRole());
+  res.json({
+    success: true,
+    message: `${user.name} now uses the "${effectiveRole.label || effectiveRole.name}" role`,
+    data: { id: user._id, name: user.name, email: user.email, accessRole: effectiveRole },
+  });
+});
+
+module.exports = {
+  getPermissionCatalog,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  setUserAccessRole,
+};
@@ -1,8 +1,21 @@
 const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Entry = require('../models/Entry');
 const Benchmark = require('../models/Benchmark');
 const WeeklyPayment = require('../models/Payment');
 const Bonus = require('../models/Bonus');
+const Session = require('../models/Session');
+const SystemSetting = require('../models/SystemSetting');
+const AuditLog = require('../models/AuditLog');
+const DailyStat = require('../models/DailyStat');
+const ProfileNote = require('../models/ProfileNote');
+const EntryDispute = require('../models/EntryDispute');
+const EntryRevision = require('../models/EntryRevision');
+const AssignmentHistory = require('../models/AssignmentHistory');
+const CoverageRequest = require('../models/CoverageRequest');
+const Invitation = require('../models/Invitation');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const jobs = require('../jobs');
 
 // ---------------------------------------------------------------------------
 // User role management
@@ -31,38 +44,180 @@ const revokeAccess = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
   if (!user) throw new ApiError('User not found', 404);
   if (user.role === 'superadmin') throw new ApiError('Cannot revoke superadmin access', 400);
+  if (user.role === 'admin' && req.user.role !== 'superadmin') throw new ApiError('Only a superadmin can revoke admin access', 403);
   user.isActive = false;
   user.isApproved = false;
   await user.save();
+  await Session.revokeAllForUser(user._id, 'access_revoked');
   res.json({ success: true, message: 'User access revoked', data: user });
 });
 
 const restoreAccess = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
   if (!user) throw new ApiError('User not found', 404);
+  if (user.role === 'admin' && req.user.role !== 'superadmin') throw new ApiError('Only a superadmin can restore admin access', 403);
   user.isActive = true;
   user.isApproved = true;
   await user.save();
   res.json({ success: true, message: 'User access restored', data: user });
 });
 
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new ApiError('User not found', 404);
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+  res.json({ success: true, message: 'User account unlocked', data: user });
+});
+
+/**
+ * @desc    Start an impersonation session as a worker (support/debugging).
+ *          Returns a short-lived token marked with the superadmin's id; payment,
+ *          bank and credential endpoints are read-only while it is in use.
+ * @route   POST /api/superadmin/impersonate/:id
+ * @access  Superadmin
+ */
+const impersonateUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new ApiError('User not found', 404);
+  if (user.role !== 'user') throw new ApiError('Only worker accounts can be impersonated', 400);
+  if (!user.isApproved || !user.isActive) {
+    throw new ApiError('Cannot impersonate an account that is pending or deactivated', 400);
+  }
+
+  const session = await Session.createImpersonation(user._id, req.user._id, req);
+  const token = user.generateImpersonationToken(session);
+
+  await AuditLog.record({
+    action:     'user.impersonate',
+    targetType: 'User',
+    targetId:   user._id,
+    meta:       { sessionId: session._id, expiresAt: session.expiresAt, reason: req.body.reason || null },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Now impersonating ${user.name}`,
+    data: {
+      token,
+      impersonating: true,
+      expiresAt: session.expiresAt,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+    },
+  });
+});
+
 const deleteUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
   if (!user) throw new ApiError('User not found', 404);
   if (user.role === 'superadmin') throw new ApiError('Cannot delete superadmin', 400);
+  if (user.role === 'admin' && req.user.role !== 'superadmin') throw new ApiError('Only a superadmin can delete admin accounts', 403);
   await User.findByIdAndDelete(req.params.id);
+  await Session.deleteMany({ user: req.params.id });
   res.json({ success: true, message: 'User deleted successfully' });
 });
 
 const approveAllPending = asyncHandler(async (req, res) => {
-  const result = await User.updateMany(
-    { isApproved: false, role: 'user' },
-    { isApproved: true }
-  );
+  // Unverified emails are skipped unless the superadmin explicitly includes them
+  const query = { isApproved: false, role: 'user' };
+  if (req.body.includeUnverified !== true) query.emailVerified = true;
+
+  const result = await User.updateMany(query, { isApproved: true, status: 'approved' });
+  const skippedUnverified = req.body.includeUnverified === true
+    ? 0
+    : await User.countDocuments({ isApproved: false, role: 'user', emailVerified: { $ne: true } });
+
   res.json({
     success: true,
-    message: `Approved ${result.modifiedCount} pending users`,
-    data: { approvedCount: result.modifiedCount },
+    message: `Approved ${result.modifiedCount} pending users` +
+      (skippedUnverified ? ` (${skippedUnverified} with unverified email skipped)` : ''),
+    data: { approvedCount: result.modifiedCount, skippedUnverified },
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Profile purge
+// ---------------------------------------------------------------------------
+
+/**
+ * Regular payments built from this profile's entries that still matter:
+ * unpaid (and not denied), or paid within PROFILE_PURGE_PAID_GRACE_DAYS.
+ * Payments are per worker-week, so a payment counts when its week contains
+ * one of that worker's entries on the profile.
+ */
+const findBlockingPayments = async (profileId) => {
+  const graceDays  = parseInt(process.env.PROFILE_PURGE_PAID_GRACE_DAYS) || 90;
+  const paidCutoff = new Date(Date.now() - graceDays * 24 * 60 * 60 * 1000);
+
+  const byWorker = await Entry.aggregate([
+    { $match: { profile: profileId } },
+    { $group: { _id: '$worker', dates: { $addToSet: '$date' }, first: { $min: '$date' }, last: { $max: '$date' } } },
+  ]);
+
+  const blocking = [];
+  for (const { _id: worker, dates, first, last } of byWorker) {
+    const payments = await WeeklyPayment.find({
+      user:        worker,
+      paymentType: 'regular',
+      weekStart:   { $lte: last },
+      weekEnd:     { $gte: first },
+      $or: [
+        { paid: { $ne: true }, status: { $ne: 'denied' } },
+        { paid: true, paidDate: { $gte: paidCutoff } },
+      ],
+    }).lean();
+
+    payments
+      .filter((p) => dates.some((d) => d >= p.weekStart && d <= p.weekEnd))
+      .forEach((p) => blocking.push({
+        id: p._id, user: p.user, weekStart: p.weekStart, weekEnd: p.weekEnd,
+        status: p.status, paid: p.paid, paidDate: p.paidDate,
+      }));
+  }
+
+  return { blocking, graceDays };
+};
+
+/**
+ * @desc    Permanently delete an archived profile and its entries.
+ *          Refused while payments built from those entries are unpaid or recent.
+ * @route   DELETE /api/superadmin/profile/:id/purge
+ * @access  Superadmin
+ */
+const purgeProfile = asyncHandler(async (req, res) => {
+  const profile = await Profile.findById(req.params.id);
+  if (!profile) throw new ApiError('Profile not found', 404);
+  if (!profile.archivedAt) throw new ApiError('Archive the profile before purging it', 400);
+
+  const { blocking, graceDays } = await findBlockingPayments(profile._id);
+  if (blocking.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `${blocking.length} payment(s) built from this profile's entries are unpaid or were paid in the last ${graceDays} days.`,
+      data: { blockingPayments: blocking },
+    });
+  }
+
+  const withFiles = await Entry.find({ profile: profile._id, 'attachments.0': { $exists: true } }).select('attachments').lean();
+  const { deletedCount } = await Entry.deleteMany({ profile: profile._id });
+  await Entry.removeAttachmentFiles(withFiles.flatMap((e) => e.attachments));
+  // deleteMany skips the Entry hooks — drop the profile's buckets and refresh its workers' windows
+  const workerIds = await DailyStat.distinct('worker', { profile: profile._id });
+  await DailyStat.deleteMany({ profile: profile._id });
+  await DailyStat.refreshRolling({ workerIds });
+  await ProfileNote.deleteMany({ profile: profile._id });
+  await EntryDispute.deleteMany({ profile: profile._id });
+  await EntryRevision.deleteMany({ profile: profile._id });
+  await AssignmentHistory.deleteMany({ profile: profile._id });
+  await CoverageRequest.deleteMany({ profile: profile._id });
+  await User.updateMany({ assignedProfiles: profile._id }, { $pull: { assignedProfiles: profile._id } });
+  await Invitation.updateMany({ assignedProfiles: profile._id }, { $pull: { assignedProfiles: profile._id } });
+  await Profile.findByIdAndDelete(profile._id);
+
+  res.json({
+    success: true,
+    message: 'Profile and its entries permanently deleted',
+    data: { entriesDeleted: deletedCount },
   });
 });
 
@@ -209,13 +364,61 @@ const getSystemStats = asyncHandler(async (req, res) => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// System settings
+// ---------------------------------------------------------------------------
+
+const getSettings = asyncHandler(async (req, res) => {
+  const settings = await SystemSetting.getSettings();
+  res.json({ success: true, data: settings });
+});
+
+const updateSettings = asyncHandler(async (req, res) => {
+  const settings = await SystemSetting.getSettings();
+
+  // Don't let a superadmin switch on a requirement that would lock themselves out
+  if (req.body.requireAdminTwoFactor === true && !req.user.twoFactorEnabled) {
+    throw new ApiError('Enable two-factor authentication on your own account before requiring it for admins', 400);
+  }
+
+  const allowed = ['requireAdminTwoFactor', 'defaultMaxConcurrentProfiles'];
+  allowed.forEach((field) => { if (req.body[field] !== undefined) settings[field] = req.body[field]; });
+
+  // Partial update — keep thresholds that were not sent
+  Object.entries(req.body.healthThresholds || {}).forEach(([key, value]) => settings.set(`healthThresholds.${key}`, value));
+  if (settings.healthThresholds.atRiskScore >= settings.healthThresholds.warningScore) {
+    throw new ApiError('healthThresholds.atRiskScore must be below warningScore', 400);
+  }
+  settings.updatedBy = req.user._id;
+  await settings.save();
+  res.json({ success: true, message: 'Settings updated', data: settings });
+});
+
+// ---------------------------------------------------------------------------
+// Background jobs
+// ---------------------------------------------------------------------------
+
+const getJobs = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: jobs.listJobs() });
+});
+
+const runJobNow = asyncHandler(async (req, res) => {
+  const run = await jobs.runJob(req.params.name);
+  if (!run) throw new ApiError('Job not found', 404);
+  if (run.skipped) throw new ApiError(`Job ${run.name} is already running`, 409);
+  res.json({ success: run.ok, message: run.ok ? 'Job completed' : `Job failed: ${run.error}`, data: run });
+});
+
 module.exports = {
   promoteToAdmin,
   demoteToUser,
   revokeAccess,
   restoreAccess,
+  unlockUser,
+  impersonateUser,
   deleteUser,
   approveAllPending,
+  purgeProfile,
   createBenchmark,
   getAllBenchmarks,
   getCurrentBenchmark,
@@ -224,4 +427,8 @@ module.exports = {
   addExtraBonus,
   resetExtraBonus,
   getSystemStats,
+  getSettings,
+  updateSettings,
+  getJobs,
+  runJobNow,
 };
\ No newline at end of file
@@ -3,7 +3,11 @@ const Profile = require('../models/Profile');
 const Entry = require('../models/Entry');
 const Benchmark = require('../models/Benchmark');
 const WeeklyPayment = require('../models/Payment'); // file is Payment.js
+const AuditLog = require('../models/AuditLog');
+const ProfileNote = require('../models/ProfileNote');
+const vault = require('../utils/vault');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { buildAuditContext } = require('../middleware/audit');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Update Profile (phone, name, etc.)
@@ -99,20 +103,93 @@ const getAssignedProfiles = asyncHandler(async (req, res) => {
       },
     ],
     isActive: true,
-  }).select('fullName email state country');
+    archivedAt: null,
+  }).select('fullName email state country credentialsUpdatedAt');
+
+  // Worker-visible notes only; edit history stays admin-side
+  const notes = await ProfileNote.find({ profile: { $in: profiles.map((p) => p._id) }, visibility: 'workers' })
+    .select('profile body pinned author lastEditedAt createdAt')
+    .populate('author', 'name')
+    .sort({ pinned: -1, createdAt: -1 })
+    .lean();
+
+  const data = profiles.map((profile) => ({
+    ...profile.toJSON(),
+    notes: notes.filter((note) => note.profile.toString() === profile._id.toString()),
+  }));
+
+  res.json({ success: true, count: data.length, data });
+});
+
+// Reveal the client login for a profile the worker is currently assigned to.
+// Every reveal is written to the audit log; no audit record → no reveal.
+const getProfileCredentials = asyncHandler(async (req, res) => {
+  if (req.impersonator) {
+    throw new ApiError('Credentials cannot be revealed while impersonating a user', 403);
+  }
+  if (!vault.isConfigured()) throw new ApiError('Credential vault is not configured', 503);
+
+  const profile = await Profile.findById(req.params.id).select('+encryptedCredentials');
+  if (!profile) throw new ApiError('Profile not found', 404);
+  if (!profile.isActive || profile.archivedAt) throw new ApiError('Profile is not active', 403);
+  if (!profile.isWorkerAssigned(req.user._id)) {
+    throw new ApiError('You are not currently assigned to this profile', 403);
+  }
+  if (!profile.encryptedCredentials) {
+    throw new ApiError('No credentials have been stored for this profile yet. Ask an admin.', 404);
+  }
+
+  let credentials;
+  try {
+    credentials = profile.getCredentials();
+  } catch (error) {
+    console.error(`[Vault] Failed to decrypt credentials for profile ${profile._id}:`, error.message);
+    throw new ApiError('Stored credentials could not be decrypted. Ask an admin to re-enter them.', 500);
+  }
 
-  res.json({ success: true, count: profiles.length, data: profiles });
+  const audited = await AuditLog.record({
+    action:     'profile.credentials_reveal',
+    targetType: 'Profile',
+    targetId:   profile._id,
+    meta:       { credentialsVersion: profile.credentialsVersion },
+  }, buildAuditContext(req));
+  if (!audited) throw new ApiError('Credentials are temporarily unavailable. Please try again.', 503);
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: {
+      profileId: profile._id,
+      email:     profile.email,
+      ...credentials,
+      version:   profile.credentialsVersion,
+      updatedAt: profile.credentialsUpdatedAt,
+    },
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Entry CRUD
 // ─────────────────────────────────────────────────────────────────────────────
+// Workers can change submitted entries and ones sent back to them; approved
+// and rejected entries are locked.
+const assertWorkerCanEdit = (entry) => {
+  if (entry.status === 'approved') throw new ApiError('Cannot edit an approved entry', 403);
+  if (entry.status === 'rejected') throw new ApiError('This entry was rejected and can no longer be changed', 403);
+};
+
+const markResubmitted = (entry) => {
+  entry.status        = 'submitted';
+  entry.resubmittedAt = new Date();
+};
+
 const createEntry = asyncHandler(async (req, res) => {
   const { profileId, date, time, quality, notes } = req.body;
 
   const profile = await Profile.findById(profileId);
   if (!profile) throw new ApiError('Profile not found', 404);
   if (!profile.isActive) throw new ApiError('Profile is not active', 403);
+  if (profile.archivedAt) throw new ApiError('Profile has been archived', 403);
 
   if (!profile.isWorkerAssigned(req.user._id)) {
     throw new ApiError('You are not currently assigned to this profile', 403);
@@ -131,18 +208,20 @@ const createEntry = asyncHandler(async (req, res) => {
   });
 
   if (entry) {
-    if (entry.adminApproved) {
-      throw new ApiError('Cannot edit an already approved entry', 403);
-    }
+    assertWorkerCanEdit(entry);
     entry.time = time;
     entry.quality = quality;
     if (notes !== undefined) entry.notes = notes;
+    // Submitting over an entry that was sent back counts as resubmitting it
+    const resubmitted = entry.status === 'needs_changes';
+    if (resubmitted) markResubmitted(entry);
+    entry.trackRevision(resubmitted ? 'worker_resubmit' : 'worker_edit', req.user._id);
     await entry.save();
 
-    return res.json({ success: true, message: 'Entry updated successfully', data: entry });
+    return res.json({ success: true, message: resubmitted ? 'Entry resubmitted for review' : 'Entry updated successfully', data: entry });
   }
 
-  entry = await Entry.create({
+  entry = new Entry({
     profile: profileId,
     worker: req.user._id,
     date: entryDate,
@@ -150,6 +229,7 @@ const createEntry = asyncHandler(async (req, res) => {
     quality,
     notes,
   });
+  await entry.trackRevision('worker_submit', req.user._id).save();
 
   res.status(201).json({ success: true, message: 'Entry submitted successfully', data: entry });
 });
@@ -163,23 +243,46 @@ const updateEntry = asyncHandler(async (req, res) => {
   if (entry.worker.toString() !== req.user._id.toString()) {
     throw new ApiError('You can only edit your own entries', 403);
   }
-  if (entry.adminApproved) {
-    throw new ApiError('Cannot edit an approved entry', 403);
-  }
+  assertWorkerCanEdit(entry);
 
   if (time !== undefined) entry.time = time;
   if (quality !== undefined) entry.quality = quality;
   if (notes !== undefined) entry.notes = notes;
 
-  await entry.save();
+  await entry.trackRevision('worker_edit', req.user._id).save();
 
   res.json({ success: true, message: 'Entry updated successfully', data: entry });
 });
 
+// Send an entry that needs changes back for review, optionally with the
+// corrections in the same request
+const resubmitEntry = asyncHandler(async (req, res) => {
+  const { time, quality, notes } = req.body;
+
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) throw new ApiError('Entry not found', 404);
+
+  if (entry.worker.toString() !== req.user._id.toString()) {
+    throw new ApiError('You can only resubmit your own entries', 403);
+  }
+  if (entry.status !== 'needs_changes') {
+    throw new ApiError('Only entries sent back for changes can be resubmitted', 400);
+  }
+
+  if (time !== undefined) entry.time = time;
+  if (quality !== undefined) entry.quality = quality;
+  if (notes !== undefined) entry.notes = notes;
+  markResubmitted(entry);
+
+  await entry.trackRevision('worker_resubmit', req.user._id).save();
+
+  res.json({ success: true, message: 'Entry resubmitted for review', data: entry });
+});
+
 const getEntries = asyncHandler(async (req, res) => {
-  const { startDate, endDate, profileId, page = 1, limit = 50 } = req.query;
+  const { startDate, endDate, profileId, status, page = 1, limit = 50 } = req.query;
 
-  const query = { worker: req.user._id };
+  const query = { ...(status ? Entry.statusQuery(status) : {}), worker: req.user._id };
   if (startDate || endDate) {
     query.date = {};
     if (startDate) query.date.$gte = new Date(startDate);
@@ -291,6 +394,7 @@ const getDashboard = asyncHandler(async (req, res) => {
     effectiveQuality: e.adminQuality ?? e.quality,
     profile:          e.profile?.fullName || 'unknown',
     adminApproved:    e.adminApproved,
+    status:           e.status,
     notes:            e.notes || '',
   }));
 
@@ -309,6 +413,7 @@ const getDashboard = asyncHandler(async (req, res) => {
         },
       },
     ],
+    archivedAt: null,
   });
 
   res.json({
@@ -537,8 +642,10 @@ module.exports = {
   updateProfilePhoto,
   deleteProfilePhoto,
   getAssignedProfiles,
+  getProfileCredentials,
   createEntry,
   updateEntry,
+  resubmitEntry,
   getEntries,
   getDashboard,
   getWeeklySummary,
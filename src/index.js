@@ -23,6 +23,9 @@ const adminRoutes = require('./routes/adminRoutes');
 const superAdminRoutes = require('./routes/superAdminRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 
+// Background jobs
+const { startJobs } = require('./jobs');
+
 // Import error handlers
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 
@@ -43,7 +46,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-api-key']
 }));
 
 // Security headers
@@ -119,6 +122,7 @@ const server = app.listen(PORT, () => {
   console.log(`🌍 Running locally`);
   console.log(`📅 Started at: ${new Date().toISOString()}`);
   console.log('========================================');
+  startJobs();
 });
 
 // Graceful shutdown & error handling
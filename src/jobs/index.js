@@ -0,0 +1,66 @@
+/**
+ * Background job registry.
+ *
+ * Jobs run in-process on an interval once the server is listening. Each job
+ * module exports { name, description, intervalMs, run } where run() resolves
+ * to a small summary of what it did.
+ *
+ * JOBS_ENABLED=false turns the timers off (e.g. serverless deploys, or when
+ * several instances run and only one should do the work); jobs can then be
+ * triggered from an external scheduler via POST /api/superadmin/jobs/:name/run.
+ */
+const jobs = [
+  require('./temporaryAssignments'),
+  require('./profileHealth'),
+  require('./rollingStats'),
+];
+
+const state = new Map(jobs.map((job) => [job.name, { running: false, lastRun: null }]));
+
+/**
+ * Run a job now. A job never overlaps with itself — a run requested while
+ * one is in progress is skipped.
+ */
+const runJob = async (name) => {
+  const job = jobs.find((j) => j.name === name);
+  if (!job) return null;
+
+  const jobState = state.get(name);
+  if (jobState.running) return { name, skipped: true, reason: 'Already running' };
+
+  jobState.running = true;
+  const startedAt = new Date();
+  try {
+    const result = await job.run();
+    jobState.lastRun = { startedAt, finishedAt: new Date(), ok: true, result };
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error.message);
+    jobState.lastRun = { startedAt, finishedAt: new Date(), ok: false, error: error.message };
+  } finally {
+    jobState.running = false;
+  }
+  return { name, ...jobState.lastRun };
+};
+
+const listJobs = () => jobs.map((job) => ({
+  name:        job.name,
+  description: job.description,
+  intervalMs:  job.intervalMs,
+  running:     state.get(job.name).running,
+  lastRun:     state.get(job.name).lastRun,
+}));
+
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  jobs.forEach((job) => {
+    // unref() so a pending timer never keeps the process alive on shutdown
+    setInterval(() => runJob(job.name), job.intervalMs).unref();
+    setTimeout(() => runJob(job.name), 30 * 1000).unref();
+  });
+  console.log(`⏱️  Background jobs started: ${jobs.map((j) => j.name).join(', ')}`);
+};
+
+module.exports = { startJobs, runJob, listJobs };
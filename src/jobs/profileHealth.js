@@ -0,0 +1,155 @@
+const Profile = require('../models/Profile');
+const Entry = require('../models/Entry');
+const Role = require('../models/Role');
+const SystemSetting = require('../models/SystemSetting');
+const { sendProfileHealthAlertEmail } = require('../utils/sendEmail');
+
+/**
+ * Profile health scoring. Every active profile starts at 100 and loses points for:
+ *   inactivity   — days since the last entry (or since creation if none)
+ *   quality drop — average quality over the last 7 days vs the 21 days before
+ *   corrections  — share of vetted entries (last 30 days) where the admin
+ *                  changed the submitted time or quality (needs 5+ vetted)
+ *
+ * A full breach costs 40/30/30 points, being halfway there 15/10/10. Thresholds
+ * and the warning/at_risk cut-offs come from SystemSetting.healthThresholds.
+ * Admins with profiles.view are emailed when a profile becomes at_risk.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_VETTED_FOR_CORRECTIONS = 5;
+
+const round = (n, places = 2) => (n == null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+const scoreHealth = (metrics, thresholds) => {
+  let score = 100;
+  const reasons = [];
+
+  const { daysSinceLastEntry: days, qualityTrend, correctionRate, vettedCount } = metrics;
+  if (days >= thresholds.inactiveDays) {
+    score -= 40;
+    reasons.push(`No entries for ${days} day(s)`);
+  } else if (days >= Math.ceil(thresholds.inactiveDays / 2) && days > 0) {
+    score -= 15;
+    reasons.push(`No entries for ${days} day(s)`);
+  }
+
+  if (qualityTrend != null && qualityTrend < 0) {
+    const drop = -qualityTrend;
+    if (drop >= thresholds.qualityDropPercent) {
+      score -= 30;
+      reasons.push(`Quality down ${round(drop, 1)}% on the previous weeks`);
+    } else if (drop >= thresholds.qualityDropPercent / 2) {
+      score -= 10;
+      reasons.push(`Quality down ${round(drop, 1)}% on the previous weeks`);
+    }
+  }
+
+  if (correctionRate != null && vettedCount >= MIN_VETTED_FOR_CORRECTIONS) {
+    if (correctionRate >= thresholds.correctionRate) {
+      score -= 30;
+      reasons.push(`${Math.round(correctionRate * 100)}% of vetted entries needed corrections`);
+    } else if (correctionRate >= thresholds.correctionRate / 2) {
+      score -= 10;
+      reasons.push(`${Math.round(correctionRate * 100)}% of vetted entries needed corrections`);
+    }
+  }
+
+  const status = score < thresholds.atRiskScore ? 'at_risk' : score < thresholds.warningScore ? 'warning' : 'healthy';
+  return { score: Math.max(score, 0), status, reasons };
+};
+
+const effectiveQuality = { $ifNull: ['$adminQuality', '$quality'] };
+const corrected = {
+  $or: [
+    { $and: [{ $ne: [{ $ifNull: ['$adminTime', null] }, null] }, { $ne: ['$adminTime', '$time'] }] },
+    { $and: [{ $ne: [{ $ifNull: ['$adminQuality', null] }, null] }, { $ne: ['$adminQuality', '$quality'] }] },
+  ],
+};
+
+/**
+ * Recent-entry metrics for every profile that has entries, keyed by profile id
+ */
+const collectMetrics = async (now) => {
+  const recentStart   = new Date(now.getTime() - 7 * DAY_MS);
+  const previousStart = new Date(now.getTime() - 28 * DAY_MS);
+  const vettingStart  = new Date(now.getTime() - 30 * DAY_MS);
+
+  const [lastEntries, windows] = await Promise.all([
+    Entry.aggregate([{ $group: { _id: '$profile', lastEntryAt: { $max: '$date' } } }]),
+    Entry.aggregate([
+      { $match: { date: { $gte: vettingStart } } },
+      {
+        $group: {
+          _id: '$profile',
+          recentQuality:   { $avg: { $cond: [{ $gte: ['$date', recentStart] }, effectiveQuality, null] } },
+          previousQuality: { $avg: { $cond: [{ $and: [{ $gte: ['$date', previousStart] }, { $lt: ['$date', recentStart] }] }, effectiveQuality, null] } },
+          vettedCount:     { $sum: { $cond: [{ $and: ['$adminApproved', { $gte: ['$date', vettingStart] }] }, 1, 0] } },
+          correctedCount:  { $sum: { $cond: [{ $and: ['$adminApproved', { $gte: ['$date', vettingStart] }, corrected] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const metrics = new Map(lastEntries.map((e) => [e._id.toString(), { lastEntryAt: e.lastEntryAt }]));
+  windows.forEach((w) => Object.assign(metrics.get(w._id.toString()), w));
+  return metrics;
+};
+
+const refreshHealth = async () => {
+  const now = new Date();
+  const { healthThresholds: thresholds } = await SystemSetting.getSettings();
+  const metrics = await collectMetrics(now);
+
+  const profiles = await Profile.find({ archivedAt: null, isActive: true }).select('fullName email createdAt health');
+
+  const updates = [];
+  const newlyAtRisk = [];
+  let atRisk = 0;
+  for (const profile of profiles) {
+    const m = metrics.get(profile._id.toString()) || {};
+    const lastEntryAt = m.lastEntryAt || null;
+    const since = lastEntryAt || profile.createdAt || now;
+
+    const snapshot = {
+      lastEntryAt,
+      daysSinceLastEntry: Math.max(0, Math.floor((now - since) / DAY_MS)),
+      recentQuality:      round(m.recentQuality),
+      previousQuality:    round(m.previousQuality),
+      qualityTrend:       m.recentQuality != null && m.previousQuality
+        ? round(((m.recentQuality - m.previousQuality) / m.previousQuality) * 100, 1)
+        : null,
+      correctionRate:     m.vettedCount ? round(m.correctedCount / m.vettedCount) : null,
+      vettedCount:        m.vettedCount || 0,
+    };
+    const { score, status, reasons } = scoreHealth(snapshot, thresholds);
+
+    const wasAtRisk = profile.health?.status === 'at_risk';
+    if (status === 'at_risk') atRisk++;
+    const alertedAt = status === 'at_risk' && !wasAtRisk ? now : status === 'at_risk' ? profile.health.alertedAt : null;
+    if (status === 'at_risk' && !wasAtRisk) newlyAtRisk.push({ profile, health: { score, reasons } });
+
+    updates.push({
+      updateOne: {
+        filter: { _id: profile._id },
+        update: { $set: { health: { ...snapshot, score, status, reasons, computedAt: now, alertedAt } } },
+      },
+    });
+  }
+
+  if (updates.length > 0) await Profile.bulkWrite(updates);
+
+  if (newlyAtRisk.length > 0) {
+    const admins = await Role.findUsersWithPermission('profiles.view');
+    await Promise.all(admins.map((admin) => sendProfileHealthAlertEmail(admin, newlyAtRisk)
+      .catch((error) => console.error('Failed to send profile health alert:', error.message))));
+  }
+
+  return { profiles: profiles.length, atRisk, newlyAtRisk: newlyAtRisk.length };
+};
+
+module.exports = {
+  name: 'profile-health',
+  description: 'Score profile health from recent entries and alert admins about profiles at risk',
+  intervalMs: (parseInt(process.env.PROFILE_HEALTH_JOB_INTERVAL_MINUTES) || 6 * 60) * 60 * 1000,
+  run: refreshHealth,
+};
@@ -0,0 +1,59 @@
+const Entry = require('../models/Entry');
+const Profile = require('../models/Profile');
+const User = require('../models/User');
+const DailyStat = require('../models/DailyStat');
+
+/**
+ * Slides the 7/30/90-day windows forward (entry hooks only refresh the
+ * profile and worker they touch) and repairs the daily buckets when they no
+ * longer add up to the approved entries — first deploy, seeding, or bulk
+ * deletes that bypass the Entry hooks. Whatever skipped the hooks also
+ * skipped the lifetime deltas, so a rebuild recomputes those as well.
+ */
+const refreshAll = async () => {
+  const [approved, [bucketed]] = await Promise.all([
+    Entry.countDocuments({ adminApproved: true }),
+    DailyStat.aggregate([{ $group: { _id: null, entryCount: { $sum: '$entryCount' } } }]),
+  ]);
+
+  const rebuilt = approved !== (bucketed?.entryCount || 0);
+  let lifetimeRepaired = 0;
+  if (rebuilt) {
+    await DailyStat.rebuild();
+
+    // Profiles with approved work, plus any still counting entries that are gone
+    const [withEntries, withCounts] = await Promise.all([
+      Entry.distinct('profile', { adminApproved: true }),
+      Profile.distinct('_id', { entryCount: { $gt: 0 } }),
+    ]);
+    const repairIds = [...new Set([...withEntries, ...withCounts].map((id) => id.toString()))];
+    for (const profileId of repairIds) {
+      await Profile.updatePerformanceStats(profileId);
+    }
+    lifetimeRepaired = repairIds.length;
+  }
+
+  // Anything with buckets in range, plus anything still showing numbers that may now be stale
+  const since = DailyStat.windowStart(DailyStat.WINDOWS.d90);
+  const stale = { 'rollingStats.d90.entryCount': { $gt: 0 } };
+  const [bucketProfiles, bucketWorkers, shownProfiles, shownWorkers] = await Promise.all([
+    DailyStat.distinct('profile', { day: { $gte: since } }),
+    DailyStat.distinct('worker', { day: { $gte: since } }),
+    Profile.distinct('_id', stale),
+    User.distinct('_id', stale),
+  ]);
+
+  const unique = (ids) => [...new Set(ids.map((id) => id.toString()))];
+  const profileIds = unique([...bucketProfiles, ...shownProfiles]);
+  const workerIds  = unique([...bucketWorkers, ...shownWorkers]);
+  await DailyStat.refreshRolling({ profileIds, workerIds });
+
+  return { rebuilt, lifetimeRepaired, profiles: profileIds.length, workers: workerIds.length };
+};
+
+module.exports = {
+  name: 'rolling-stats',
+  description: 'Slide the 7/30/90-day performance windows on profiles and workers',
+  intervalMs: (parseInt(process.env.ROLLING_STATS_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  run: refreshAll,
+};
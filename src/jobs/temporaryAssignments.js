@@ -0,0 +1,120 @@
+const Profile = require('../models/Profile');
+const Role = require('../models/Role');
+const AssignmentHistory = require('../models/AssignmentHistory');
+const { sendAssignmentEndingEmail, sendUnstaffedProfilesEmail } = require('../utils/sendEmail');
+
+/**
+ * Temporary assignment housekeeping:
+ *   1. moves lapsed assignments off the Profile (their period stays in
+ *      AssignmentHistory), so getActiveWorkers/getProfileById stop carrying them
+ *   2. reminds the covering worker the day before their assignment ends
+ *   3. alerts admins (profiles.assign) when a profile will be left with no
+ *      worker once an assignment ends
+ *
+ * Notices are flagged on the assignment so each goes out once.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const archiveExpired = async (now) => {
+  const profiles = await Profile.find({ 'temporaryAssignments.endDate': { $lt: now } });
+
+  let archived = 0;
+  for (const profile of profiles) {
+    await AssignmentHistory.ensureSeeded(profile);
+    const expired = profile.temporaryAssignments.filter((a) => a.endDate < now);
+    const ids = expired.map((a) => a._id);
+
+    const recorded = await AssignmentHistory.find({ temporaryAssignmentId: { $in: ids } }).distinct('temporaryAssignmentId');
+    for (const assignment of expired) {
+      if (!recorded.some((id) => id.equals(assignment._id))) {
+        await AssignmentHistory.recordTemporary({ profile, assignment });
+      }
+    }
+    await AssignmentHistory.updateMany({ temporaryAssignmentId: { $in: ids }, endReason: '' }, { endReason: 'Ended' });
+
+    // $pull rather than save() so an admin edit made meanwhile is not overwritten
+    const { modifiedCount } = await Profile.updateOne(
+      { _id: profile._id },
+      { $pull: { temporaryAssignments: { _id: { $in: ids }, endDate: { $lt: now } } } }
+    );
+    if (modifiedCount) archived += ids.length;
+  }
+  return archived;
+};
+
+/**
+ * Set a notice flag on one assignment. Returns false if another run already did.
+ */
+const claimNotice = async (profileId, assignmentId, flag, now) => {
+  const { modifiedCount } = await Profile.updateOne(
+    { _id: profileId, temporaryAssignments: { $elemMatch: { _id: assignmentId, [flag]: null } } },
+    { $set: { [`temporaryAssignments.$.${flag}`]: now } }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Would the profile have any worker the moment this assignment ends?
+ */
+const staffedAfter = (profile, assignment) => {
+  if (profile.defaultWorker || profile.secondWorker) return true;
+  const after = new Date(assignment.endDate.getTime() + 1);
+  return profile.temporaryAssignments.some(
+    (a) => !a._id.equals(assignment._id) && a.startDate <= after && a.endDate >= after
+  );
+};
+
+const sendNotices = async (now) => {
+  const horizon = new Date(now.getTime() + DAY_MS);
+  const endingSoon = (a) => a.endDate > now && a.endDate <= horizon;
+
+  const profiles = await Profile.find({
+    archivedAt: null,
+    isActive: true,
+    temporaryAssignments: {
+      $elemMatch: { endDate: { $gt: now, $lte: horizon }, $or: [{ endReminderSentAt: null }, { lapseAlertSentAt: null }] },
+    },
+  }).populate('temporaryAssignments.worker', 'name email');
+
+  let reminders = 0;
+  const lapses = [];
+  for (const profile of profiles) {
+    for (const assignment of profile.temporaryAssignments.filter(endingSoon)) {
+      const worker = assignment.worker;
+
+      if (!assignment.endReminderSentAt && worker?.email && (await claimNotice(profile._id, assignment._id, 'endReminderSentAt', now))) {
+        try {
+          await sendAssignmentEndingEmail(worker, profile, assignment);
+          reminders++;
+        } catch (error) {
+          console.error('Failed to send assignment ending email:', error.message);
+        }
+      }
+
+      if (!assignment.lapseAlertSentAt && !staffedAfter(profile, assignment)
+        && (await claimNotice(profile._id, assignment._id, 'lapseAlertSentAt', now))) {
+        lapses.push({ profile, endDate: assignment.endDate, worker });
+      }
+    }
+  }
+
+  if (lapses.length > 0) {
+    const admins = await Role.findUsersWithPermission('profiles.assign');
+    await Promise.all(admins.map((admin) => sendUnstaffedProfilesEmail(admin, lapses)
+      .catch((error) => console.error('Failed to send unstaffed profiles email:', error.message))));
+  }
+
+  return { reminders, unstaffedAlerts: lapses.length };
+};
+
+module.exports = {
+  name: 'temporary-assignments',
+  description: 'Archive expired temporary assignments, remind covering workers and alert admins about unstaffed profiles',
+  intervalMs: (parseInt(process.env.TEMP_ASSIGNMENT_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  run: async () => {
+    const now = new Date();
+    const archived = await archiveExpired(now);
+    const notices = await sendNotices(now);
+    return { archived, ...notices };
+  },
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const requestContext = require('../utils/requestContext');
+const { redactObject } = require('../models/plugins/auditTrail');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Build the actor/request details stored on audit records. Also used directly
+ * with AuditLog.record() on routes that are not wrapped in auditContext.
+ */
+const buildAuditContext = (req) => {
+  const actor = req.impersonator || req.user;
+  return {
+    actor:      actor ? actor._id : null,
+    actorRole:  actor ? actor.role : null,
+    onBehalfOf: req.impersonator ? req.user._id : null,
+    apiKey:     req.apiKey ? req.apiKey._id : null,
+    ip:         req.ip || '',
+    userAgent:  req.headers['user-agent'] || '',
+    method:     req.method,
+    path:       req.originalUrl,
+    records:    0,
+  };
+};
+
+/**
+ * Open an audit context for mutating admin/superadmin requests.
+ * Use after protect + authorize. protect also opens one for every request
+ * made with an impersonation token; the superadmin is then the actor and
+ * the impersonated user goes in onBehalfOf.
+ *
+ * Model hooks (plugins/auditTrail.js) pick up the context and write
+ * document-level diffs. If the request succeeds without any hook firing,
+ * a request-level record is written instead so nothing goes unlogged.
+ */
+const auditContext = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method) || !req.user || req.auditContext) return next();
+
+  const ctx = buildAuditContext(req);
+  req.auditContext = ctx;
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || ctx.records > 0) return;
+
+    const targetId = Object.values(req.params || {}).find((v) => mongoose.isValidObjectId(v)) || null;
+    AuditLog.record({
+      action:     `request.${req.method.toLowerCase()}`,
+      targetType: 'Request',
+      targetId,
+      meta: {
+        route:  `${req.baseUrl}${req.route ? req.route.path : ''}`,
+        params: req.params,
+        body:   redactObject(req.body),
+      },
+    }, ctx);
+  });
+
+  requestContext.run(ctx, () => next());
+};
+
+module.exports = { auditContext, buildAuditContext };
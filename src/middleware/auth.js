@@ -1,8 +1,53 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SystemSetting = require('../models/SystemSetting');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const { auditContext } = require('./audit');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticate an X-API-Key request as the key's creator, restricted to the
+ * key's scopes (see loadPermissions). Sets req.apiKey.
+ */
+const protectWithApiKey = async (rawKey, req, res, next) => {
+  try {
+    const apiKey = await ApiKey.authenticate(rawKey);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, revoked or expired API key.',
+      });
+    }
+
+    const user = await User.findById(apiKey.createdBy);
+    if (!user || !user.isActive || !user.isApproved || !['admin', 'superadmin'].includes(user.role)) {
+      return res.status(401).json({
+        success: false,
+        message: 'The owner of this API key no longer has access.',
+      });
+    }
+
+    apiKey.touch(req.ip).catch((err) => console.error('[ApiKey] Failed to record usage:', err.message));
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.',
+    });
+  }
+};
 
 /**
- * Protect routes - Verify JWT token
+ * Protect routes - Verify JWT token (or X-API-Key, see protectWithApiKey)
+ *
+ * Impersonation tokens (`imp` claim) authenticate as the target user, with the
+ * superadmin on req.impersonator. Everything done with them is audited.
  */
 const protect = async (req, res, next) => {
   let token;
@@ -18,6 +63,10 @@ const protect = async (req, res, next) => {
     token = req.header('x-auth-token');
   }
 
+  if (!token && req.header('x-api-key')) {
+    return protectWithApiKey(req.header('x-api-key'), req, res, next);
+  }
+
   if (!token) {
     return res.status(401).json({
       success: false,
@@ -29,6 +78,34 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Check the session behind the token is still live (logout / revoke)
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isValid || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please login again.',
+      });
+    }
+
+    // Impersonation: token and session must agree on who the superadmin is,
+    // and that account must still be an active superadmin
+    let impersonator = null;
+    if (decoded.imp || session.impersonator) {
+      if (!session.impersonator || session.impersonator.toString() !== decoded.imp) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please login again.',
+        });
+      }
+      impersonator = await User.findById(decoded.imp);
+      if (!impersonator || impersonator.role !== 'superadmin' || !impersonator.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer permitted.',
+        });
+      }
+    }
+
     // Get user from token (include profilePhoto)
     const user = await User.findById(decoded.id).select('+profilePhoto');
 
@@ -63,8 +140,16 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.session = session;
+
+    if (impersonator) {
+      req.impersonator = impersonator;
+      res.set('X-Impersonated-By', impersonator._id.toString());
+      return auditContext(req, res, next);
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -110,6 +195,118 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Reject writes made with an impersonation token. Use on payment, bank and
+ * credential endpoints so support can look but not touch.
+ */
+const readOnlyWhenImpersonating = (req, res, next) => {
+  if (req.impersonator && !READ_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user.',
+    });
+  }
+  next();
+};
+
+/**
+ * Reject API-key requests on routes meant for people (own account, worker
+ * dashboard). Mount before protect.
+ */
+const rejectApiKey = (req, res, next) => {
+  if (req.header('x-api-key')) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint.',
+    });
+  }
+  next();
+};
+
+/**
+ * Resolve (once per request) the permissions granted to req.user.
+ * For API-key requests, only the key's scopes the owner still holds.
+ * @returns {Promise<Set<string>>}
+ */
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    let granted = await Role.getPermissionsForUser(req.user);
+    if (req.apiKey) granted = granted.filter((p) => req.apiKey.scopes.includes(p));
+    req.permissions = new Set(granted);
+  }
+  return req.permissions;
+};
+
+/**
+ * True if req.user holds the named permission. For use inside controllers
+ * to trim responses (e.g. hide bank details).
+ */
+const hasPermission = async (req, permission) => {
+  if (!req.user) return false;
+  return (await loadPermissions(req)).has(permission);
+};
+
+/**
+ * Permission-based access control
+ * @param {...string} permissions - All of these are required (see config/permissions.js)
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.',
+      });
+    }
+
+    try {
+      const granted = await loadPermissions(req);
+      const missing = permissions.filter((p) => !granted.has(p));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${missing.join(', ')}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking permissions.',
+      });
+    }
+  };
+};
+
+/**
+ * Block admin/superadmin accounts that have not enrolled in 2FA while the
+ * "require 2FA for admins" system setting is on. Use after protect.
+ * Enrolment itself lives under /api/auth/2fa, which is not guarded by this.
+ */
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!['admin', 'superadmin'].includes(req.user.role) || req.user.twoFactorEnabled || req.apiKey) {
+      return next();
+    }
+
+    const settings = await SystemSetting.getSettings();
+    if (!settings.requireAdminTwoFactor) return next();
+
+    return res.status(403).json({
+      success: false,
+      twoFactorSetupRequired: true,
+      message: 'Two-factor authentication is required for your role. Please enable it in your account settings.',
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking two-factor requirement.',
+    });
+  }
+};
+
 /**
  * Check if user owns the resource or is admin/superadmin
  */
@@ -160,9 +357,12 @@ const optionalAuth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
     const user = await User.findById(decoded.id).select('+profilePhoto');
-    if (user && user.isApproved && user.isActive) {
+    // Impersonation tokens are only honoured by protect
+    if (session && session.isValid && !session.impersonator && user && user.isApproved && user.isActive) {
       req.user = user;
+      req.session = session;
     }
   } catch (error) {
     // Token invalid, continue without user
@@ -174,6 +374,11 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  hasPermission,
+  requireTwoFactor,
+  readOnlyWhenImpersonating,
+  rejectApiKey,
   ownerOrAdmin,
   optionalAuth,
 };
\ No newline at end of file
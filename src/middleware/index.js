@@ -1,10 +1,25 @@
-const { protect, authorize, ownerOrAdmin, optionalAuth } = require('./auth');
+const {
+  protect,
+  authorize,
+  requirePermission,
+  hasPermission,
+  requireTwoFactor,
+  readOnlyWhenImpersonating,
+  rejectApiKey,
+  ownerOrAdmin,
+  optionalAuth,
+} = require('./auth');
 const { ApiError, asyncHandler, errorHandler, notFound } = require('./errorHandler');
 const validators = require('./validate');
 
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  hasPermission,
+  requireTwoFactor,
+  readOnlyWhenImpersonating,
+  rejectApiKey,
   ownerOrAdmin,
   optionalAuth,
   ApiError,
@@ -1,33 +1,15 @@
 const multer = require('multer');
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const cloudinary = require('cloudinary').v2;
-const { ApiError } = require('./errorHandler');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+/**
+ * Multipart upload handling. Files are kept in memory and handed to the
+ * storage abstraction (utils/storage) by the controller, which decides
+ * where they end up (local disk or Cloudinary).
+ */
 
-// Configure Cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'airhub-profiles', // Cloudinary folder name
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-    transformation: [{ 
-      width: 500, 
-      height: 500, 
-      crop: 'limit', // Maintain aspect ratio
-      quality: 'auto' 
-    }],
-  },
-});
+// ── Images (profile photos) ───────────────────────────────────────────────────
 
-// Configure multer
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
@@ -41,13 +23,83 @@ const upload = multer({
   },
 });
 
+// ── Entry attachments (evidence for time/quality claims) ──────────────────────
+
+/** Allowed types → extension used when storing */
+const ATTACHMENT_TYPES = {
+  'image/png':       '.png',
+  'image/jpeg':      '.jpg',
+  'image/gif':       '.gif',
+  'image/webp':      '.webp',
+  'application/pdf': '.pdf',
+  'text/csv':        '.csv',
+};
+const ATTACHMENT_MAX_MB      = parseInt(process.env.ATTACHMENT_MAX_MB) || 10;
+const ATTACHMENTS_PER_UPLOAD = 5;
+
+// The declared MIME type comes from the client; check the bytes agree
+const SIGNATURES = {
+  'image/png':       (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg':      (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/gif':       (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')),
+  'image/webp':      (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (b) => b.subarray(0, 5).toString('latin1') === '%PDF-',
+  'text/csv':        (b) => !b.includes(0),
+};
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_MAX_MB * 1024 * 1024,
+    files:    ATTACHMENTS_PER_UPLOAD,
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG, JPEG, GIF, WebP, PDF and CSV files are allowed'), false);
+    }
+  },
+});
+
+/**
+ * Accept up to 5 files in the "files" field
+ */
+const uploadAttachments = attachmentUpload.array('files', ATTACHMENTS_PER_UPLOAD);
+
+/**
+ * Reject uploads whose contents do not match their declared type
+ */
+const verifyAttachments = (req, res, next) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ success: false, message: 'Attach at least one file in the "files" field' });
+  }
+
+  const mismatched = files.find((file) => !SIGNATURES[file.mimetype](file.buffer));
+  if (mismatched) {
+    return res.status(400).json({
+      success: false,
+      message: `${mismatched.originalname} does not look like a valid ${mismatched.mimetype} file`,
+    });
+  }
+  next();
+};
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = err.field === 'files' ? ATTACHMENT_MAX_MB : 5;
+      return res.status(400).json({
+        success: false,
+        message: `File size too large. Maximum size is ${maxMb}MB`,
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 5MB',
+        message: `Upload at most ${ATTACHMENTS_PER_UPLOAD} files at a time, in the "files" field`,
       });
     }
     return res.status(400).json({
@@ -55,16 +107,19 @@ const handleMulterError = (err, req, res, next) => {
       message: err.message,
     });
   }
-  
+
   if (err) {
     return res.status(400).json({
       success: false,
       message: err.message || 'Error uploading file',
     });
   }
-  
+
   next();
 };
 
 module.exports = upload;
-module.exports.handleMulterError = handleMulterError;
\ No newline at end of file
+module.exports.uploadAttachments = uploadAttachments;
+module.exports.verifyAttachments = verifyAttachments;
+module.exports.handleMulterError = handleMulterError;
+module.exports.ATTACHMENT_TYPES = ATTACHMENT_TYPES;
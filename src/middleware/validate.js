@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ASSIGNABLE_PERMISSIONS } = require('../config/permissions');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -34,6 +35,43 @@ const loginValidation = [
   handleValidationErrors,
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .isLength({ min: 80, max: 80 })
+    .withMessage('Invalid refresh token format'),
+  handleValidationErrors,
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  handleValidationErrors,
+];
+
+const twoFactorLoginValidation = [
+  body('twoFactorToken').notEmpty().withMessage('Two-factor token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-[a-f0-9]{5}$/i)
+    .withMessage('Invalid recovery code format'),
+  handleValidationErrors,
+];
+
+const disableTwoFactorValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...twoFactorCodeValidation,
+];
+
 const forgotPasswordValidation = [
   body('email').trim().isEmail().withMessage('Please provide a valid email').normalizeEmail(),
   handleValidationErrors,
@@ -57,6 +95,28 @@ const resetPasswordValidation = [
   handleValidationErrors,
 ];
 
+const oidcCallbackQuery = [
+  query('state').isString().notEmpty().withMessage('state is required'),
+  query('code')
+    .if(query('error').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('code is required'),
+  handleValidationErrors,
+];
+
+const oidcExchangeValidation = [
+  body('code').isString().trim().notEmpty().withMessage('code is required'),
+  handleValidationErrors,
+];
+
+const verifyEmailValidation = [
+  param('token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token format'),
+  handleValidationErrors,
+];
+
 const updatePasswordValidation = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
@@ -78,6 +138,28 @@ const updatePasswordValidation = [
 // Profile (client account)
 // ---------------------------------------------------------------------------
 
+/**
+ * client / platform / tags — shared by create and update profile
+ */
+const profileGroupingRules = [
+  body('client').optional({ values: 'null' }).isMongoId().withMessage('Invalid client ID'),
+  body('platform')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Platform cannot exceed 50 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('tags must be an array of up to 20 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be 1–30 characters'),
+];
+
 const createProfileValidation = [
   body('email')
     .trim()
@@ -101,6 +183,83 @@ const createProfileValidation = [
    * Optional second worker — spec allows up to 2 concurrent workers per profile.
    */
   body('secondWorker').optional().isMongoId().withMessage('Invalid secondWorker ID'),
+  ...profileGroupingRules,
+  handleValidationErrors,
+];
+
+const profileCredentialsValidation = [
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Password must be 1–200 characters'),
+  body('backupCodes')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('backupCodes must be an array of up to 50 codes'),
+  body('backupCodes.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each backup code must be 1–100 characters'),
+  body('securityAnswers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('securityAnswers must be an array of up to 20 items'),
+  body('securityAnswers.*.question')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Each security answer needs a question (max 300 characters)'),
+  body('securityAnswers.*.answer')
+    .isString()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Each security answer needs an answer (max 300 characters)'),
+  body('replace').optional().isBoolean().withMessage('replace must be true or false'),
+  handleValidationErrors,
+];
+
+const assignmentHistoryQuery = [
+  query('date').optional().isISO8601().withMessage('date must be a valid date (YYYY-MM-DD)'),
+  query('includeCancelled').optional().isIn(['true', 'false']).withMessage('includeCancelled must be true or false'),
+  handleValidationErrors,
+];
+
+const archiveProfileValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors,
+];
+
+/**
+ * ?clientId=<id|none>&platform=&tags=a,b — see buildProfileFilter in adminController
+ */
+const profileFilterRules = [
+  query('clientId')
+    .optional()
+    .custom((value) => value === 'none' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('clientId must be a client ID or "none"'),
+  query('platform').optional().isString().trim().isLength({ max: 50 }).withMessage('Invalid platform'),
+  query('tags').optional().isString().isLength({ max: 500 }).withMessage('tags must be a comma-separated list'),
+];
+
+const profileFilterQuery = [...profileFilterRules, handleValidationErrors];
+
+const atRiskQuery = [
+  query('status').optional().isIn(['at_risk', 'warning']).withMessage('status must be at_risk or warning'),
+  ...profileFilterRules,
+  handleValidationErrors,
+];
+
+const profileListQuery = [
+  query('archived')
+    .optional()
+    .isIn(['true', 'false', 'all'])
+    .withMessage('archived must be true, false or all'),
+  ...profileFilterRules,
   handleValidationErrors,
 ];
 
@@ -125,6 +284,74 @@ const updateProfileValidation = [
     .withMessage('Account bearer name cannot be empty'),
   body('defaultWorker').optional().isMongoId().withMessage('Invalid defaultWorker ID'),
   body('secondWorker').optional().isMongoId().withMessage('Invalid secondWorker ID'),
+  ...profileGroupingRules,
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// Clients
+// ---------------------------------------------------------------------------
+
+const clientValidation = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .notEmpty()
+    .withMessage('Client name is required')
+    .isLength({ max: 100 })
+    .withMessage('Client name cannot exceed 100 characters'),
+  body('contactName').optional().trim().isLength({ max: 100 }).withMessage('Contact name cannot exceed 100 characters'),
+  body('contactEmail')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid contact email')
+    .normalizeEmail(),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors,
+];
+
+const clientListQuery = [
+  query('search').optional().isString().trim(),
+  query('active').optional().isIn(['true', 'false']).withMessage('active must be true or false'),
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// Profile notes
+// ---------------------------------------------------------------------------
+
+const NOTE_VISIBILITIES = ['admins', 'workers'];
+
+const profileNoteValidation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Note body is required')
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters'),
+  body('pinned').optional().isBoolean().withMessage('pinned must be a boolean'),
+  body('visibility').optional().isIn(NOTE_VISIBILITIES).withMessage('visibility must be "admins" or "workers"'),
+  handleValidationErrors,
+];
+
+const updateProfileNoteValidation = [
+  body('body')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Note body cannot be empty')
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters'),
+  body('pinned').optional().isBoolean().withMessage('pinned must be a boolean'),
+  body('visibility').optional().isIn(NOTE_VISIBILITIES).withMessage('visibility must be "admins" or "workers"'),
+  handleValidationErrors,
+];
+
+const profileNoteListQuery = [
+  query('visibility').optional().isIn(NOTE_VISIBILITIES).withMessage('visibility must be "admins" or "workers"'),
+  query('pinned').optional().isIn(['true', 'false']).withMessage('pinned must be true or false'),
   handleValidationErrors,
 ];
 
@@ -181,6 +408,113 @@ const vetEntryValidation = [
   handleValidationErrors,
 ];
 
+const bulkVetValidation = [
+  body('decisions')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('decisions must be a list of 1 to 500 entries'),
+  body('decisions.*.entryId').isMongoId().withMessage('Invalid entry ID'),
+  body('decisions.*.action')
+    .isIn(['approve', 'reject', 'request_changes'])
+    .withMessage('action must be approve, reject or request_changes'),
+  body('decisions.*.adminTime')
+    .optional()
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Admin time must be between 0 and 24 hours'),
+  body('decisions.*.adminQuality')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Admin quality must be between 0 and 100'),
+  body('decisions.*.adminNotes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Admin notes cannot exceed 500 characters'),
+  body('decisions.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('decisions.*').custom((decision) => {
+    if (decision && decision.action !== 'approve' && !String(decision.reason || '').trim()) {
+      throw new Error('A reason is required to reject or request changes');
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+const entryReviewValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('adminNotes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Admin notes cannot exceed 500 characters'),
+  handleValidationErrors,
+];
+
+const ENTRY_STATUSES = ['submitted', 'approved', 'needs_changes', 'rejected'];
+
+const entryListQuery = [
+  query('status').optional().isIn(ENTRY_STATUSES).withMessage(`status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  query('approved').optional().isIn(['true', 'false']).withMessage('approved must be true or false'),
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// Entry disputes
+// ---------------------------------------------------------------------------
+
+const openDisputeValidation = [
+  body('evidence')
+    .trim()
+    .notEmpty()
+    .withMessage('Please explain why you are disputing this entry')
+    .isLength({ max: 2000 })
+    .withMessage('Evidence cannot exceed 2000 characters'),
+  handleValidationErrors,
+];
+
+const disputeMessageValidation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Message is required')
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters'),
+  handleValidationErrors,
+];
+
+const resolveDisputeValidation = [
+  body('outcome')
+    .isIn(['worker_values', 'admin_values', 'custom'])
+    .withMessage('outcome must be worker_values, admin_values or custom'),
+  body('time')
+    .optional()
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Time must be between 0 and 24 hours'),
+  body('quality')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Quality must be between 0 and 100'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+  handleValidationErrors,
+];
+
+const disputeListQuery = [
+  query('status').optional().isIn(['open', 'resolved']).withMessage('status must be open or resolved'),
+  query('workerId').optional().isMongoId().withMessage('Invalid worker ID'),
+  query('profileId').optional().isMongoId().withMessage('Invalid profile ID'),
+  handleValidationErrors,
+];
+
 // ---------------------------------------------------------------------------
 // Benchmark
 // ---------------------------------------------------------------------------
@@ -277,6 +611,49 @@ const reassignWorkerValidation = [
   handleValidationErrors,
 ];
 
+// ---------------------------------------------------------------------------
+// Coverage requests
+// ---------------------------------------------------------------------------
+
+const COVERAGE_STATUSES = ['open', 'accepted', 'approved', 'rejected', 'cancelled', 'expired'];
+
+const createCoverageRequestValidation = [
+  body('profileId').isMongoId().withMessage('Invalid profile ID'),
+  body('startDate').isISO8601().withMessage('Please provide a valid start date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startDate))
+        throw new Error('End date must be after start date');
+      return true;
+    }),
+  body('requestedWorkerId').optional({ values: 'null' }).isMongoId().withMessage('Invalid worker ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors,
+];
+
+const coverageListQuery = [
+  query('view').optional().isIn(['mine', 'available']).withMessage('view must be "mine" or "available"'),
+  query('status').optional().isIn(COVERAGE_STATUSES).withMessage(`status must be one of: ${COVERAGE_STATUSES.join(', ')}`),
+  query('profileId').optional().isMongoId().withMessage('Invalid profile ID'),
+  query('workerId').optional().isMongoId().withMessage('Invalid worker ID'),
+  handleValidationErrors,
+];
+
+const coverageReviewValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors,
+];
+
 // ---------------------------------------------------------------------------
 // User account creation — weekStartDay
 // ---------------------------------------------------------------------------
@@ -293,6 +670,172 @@ const weekStartDayValidation = [
   handleValidationErrors,
 ];
 
+// ---------------------------------------------------------------------------
+// Invitations
+// ---------------------------------------------------------------------------
+
+const createInvitationValidation = [
+  body('email').trim().isEmail().withMessage('Please provide a valid email').normalizeEmail(),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('role')
+    .optional()
+    .isIn(['user', 'admin'])
+    .withMessage('role must be "user" or "admin"'),
+  body('profileIds').optional().isArray().withMessage('profileIds must be an array'),
+  body('profileIds.*').isMongoId().withMessage('Invalid profile ID'),
+  handleValidationErrors,
+];
+
+const invitationTokenParam = [
+  param('token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token format'),
+  handleValidationErrors,
+];
+
+const acceptInvitationValidation = [
+  ...invitationTokenParam.slice(0, -1),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// Audit log (superadmin)
+// ---------------------------------------------------------------------------
+
+const auditLogQuery = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('targetType').optional().isString().withMessage('targetType must be a string'),
+  query('action').optional().isString().withMessage('action must be a string'),
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// Roles & permissions (superadmin)
+// ---------------------------------------------------------------------------
+
+const roleValidation = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .matches(/^[a-z0-9-]+$/i)
+    .withMessage('Role name may only contain letters, numbers and dashes')
+    .isLength({ max: 50 })
+    .withMessage('Role name cannot exceed 50 characters'),
+  body('label').optional().trim().isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('permissions').optional().isArray().withMessage('permissions must be an array'),
+  body('permissions.*')
+    .isIn(ASSIGNABLE_PERMISSIONS)
+    .withMessage((value) => `Unknown or non-assignable permission: ${value}`),
+  handleValidationErrors,
+];
+
+const setAccessRoleValidation = [
+  body('roleId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid role ID'),
+  handleValidationErrors,
+];
+
+const impersonateValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// API keys (superadmin)
+// ---------------------------------------------------------------------------
+
+const apiKeyValidation = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .notEmpty()
+    .withMessage('Key name is required')
+    .isLength({ max: 100 })
+    .withMessage('Key name cannot exceed 100 characters'),
+  body('scopes')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ASSIGNABLE_PERMISSIONS)
+    .withMessage((value) => `Unknown or non-assignable scope: ${value}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future'),
+  handleValidationErrors,
+];
+
+const apiKeyStatusQuery = [
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked', 'expired'])
+    .withMessage('status must be active, revoked or expired'),
+  handleValidationErrors,
+];
+
+// ---------------------------------------------------------------------------
+// System settings (superadmin)
+// ---------------------------------------------------------------------------
+
+const updateSettingsValidation = [
+  body('requireAdminTwoFactor')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('requireAdminTwoFactor must be a boolean'),
+  body('defaultMaxConcurrentProfiles')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('defaultMaxConcurrentProfiles must be a positive integer or null')
+    .toInt(),
+  body('healthThresholds').optional().isObject().withMessage('healthThresholds must be an object'),
+  body('healthThresholds')
+    .optional()
+    .custom((value) => {
+      const known = ['inactiveDays', 'qualityDropPercent', 'correctionRate', 'warningScore', 'atRiskScore'];
+      const unknown = Object.keys(value).filter((k) => !known.includes(k));
+      if (unknown.length > 0) throw new Error(`Unknown health threshold(s): ${unknown.join(', ')}`);
+      return true;
+    }),
+  body('healthThresholds.inactiveDays').optional().isInt({ min: 1, max: 90 }).withMessage('inactiveDays must be 1–90').toInt(),
+  body('healthThresholds.qualityDropPercent').optional().isFloat({ min: 1, max: 100 }).withMessage('qualityDropPercent must be 1–100').toFloat(),
+  body('healthThresholds.correctionRate').optional().isFloat({ min: 0, max: 1 }).withMessage('correctionRate must be 0–1').toFloat(),
+  body('healthThresholds.warningScore').optional().isInt({ min: 0, max: 100 }).withMessage('warningScore must be 0–100').toInt(),
+  body('healthThresholds.atRiskScore').optional().isInt({ min: 0, max: 100 }).withMessage('atRiskScore must be 0–100').toInt(),
+  handleValidationErrors,
+];
+
+const workerCapacityValidation = [
+  body('maxConcurrentProfiles')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('maxConcurrentProfiles must be a positive integer or null')
+    .toInt(),
+  handleValidationErrors,
+];
+
 // ---------------------------------------------------------------------------
 // Shared helpers
 // ---------------------------------------------------------------------------
@@ -318,23 +861,71 @@ const dateRangeQuery = [
   handleValidationErrors,
 ];
 
+/**
+ * ?window=7d|30d|90d — use precomputed rolling stats instead of a date range
+ */
+const statsWindowQuery = [
+  query('window').optional().isIn(['7d', '30d', '90d']).withMessage('window must be 7d, 30d or 90d'),
+  handleValidationErrors,
+];
+
 module.exports = {
   handleValidationErrors,
   signupValidation,
   loginValidation,
+  refreshTokenValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  oidcCallbackQuery,
+  oidcExchangeValidation,
+  verifyEmailValidation,
   updatePasswordValidation,
   createProfileValidation,
   updateProfileValidation,
+  profileCredentialsValidation,
+  archiveProfileValidation,
+  profileListQuery,
+  profileFilterQuery,
+  atRiskQuery,
+  clientValidation,
+  clientListQuery,
+  assignmentHistoryQuery,
+  profileNoteValidation,
+  updateProfileNoteValidation,
+  profileNoteListQuery,
   createEntryValidation,
   updateEntryValidation,
   vetEntryValidation,
+  bulkVetValidation,
+  entryReviewValidation,
+  entryListQuery,
+  openDisputeValidation,
+  disputeMessageValidation,
+  resolveDisputeValidation,
+  disputeListQuery,
   benchmarkValidation,
   updateBankDetailsValidation,
   reassignWorkerValidation,
+  workerCapacityValidation,
+  createCoverageRequestValidation,
+  coverageListQuery,
+  coverageReviewValidation,
   weekStartDayValidation,
+  createInvitationValidation,
+  invitationTokenParam,
+  acceptInvitationValidation,
+  auditLogQuery,
+  roleValidation,
+  setAccessRoleValidation,
+  impersonateValidation,
+  apiKeyValidation,
+  apiKeyStatusQuery,
+  updateSettingsValidation,
   mongoIdParam,
   paginationQuery,
   dateRangeQuery,
+  statsWindowQuery,
 }; 
\ No newline at end of file
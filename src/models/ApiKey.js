@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const auditTrail = require('./plugins/auditTrail');
+const { ASSIGNABLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * ApiKey model — credentials for scripts and integrations.
+ *
+ * Keys look like `ahk_<prefix>_<secret>`. The prefix is stored in clear so
+ * the key can be looked up; only the SHA-256 hash of the secret is stored,
+ * and the full key is shown once, at creation.
+ *
+ * A key acts on behalf of the superadmin who created it, limited to its
+ * scopes (permission names from config/permissions.js). If the creator loses
+ * a permission, so do their keys.
+ */
+const KEY_PATTERN = /^ahk_([a-f0-9]{12})_([a-f0-9]{64})$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters'],
+    },
+    prefix:     { type: String, required: true, unique: true },
+    secretHash: { type: String, required: true, select: false },
+    scopes: {
+      type: [{ type: String, enum: ASSIGNABLE_PERMISSIONS }],
+      validate: [(v) => v.length > 0, 'At least one scope is required'],
+    },
+    /** null = never expires */
+    expiresAt: { type: Date, default: null },
+
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: '' },
+    usageCount: { type: Number, default: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    toJSON:   { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.secretHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Static: create a key. Returns { apiKey, key } — the plain key is not stored.
+// ---------------------------------------------------------------------------
+apiKeySchema.statics.generate = async function ({ name, scopes, expiresAt = null, createdBy }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    secretHash: hashSecret(secret),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    createdBy,
+  });
+
+  return { apiKey, key: `ahk_${prefix}_${secret}` };
+};
+
+// ---------------------------------------------------------------------------
+// Static: resolve a presented key to an active ApiKey document, or null
+// ---------------------------------------------------------------------------
+apiKeySchema.statics.authenticate = async function (rawKey) {
+  const match = KEY_PATTERN.exec(rawKey || '');
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+secretHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual   = Buffer.from(hashSecret(match[2]), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+// ---------------------------------------------------------------------------
+// Instance: record a use (fire-and-forget from protect)
+// ---------------------------------------------------------------------------
+apiKeySchema.methods.touch = function (ip = '') {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+  );
+};
+
+apiKeySchema.plugin(auditTrail, { targetType: 'ApiKey', ignore: ['lastUsedAt', 'lastUsedIp', 'usageCount'] });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+/**
+ * AssignmentHistory model — one document per period a worker held a slot
+ * on a profile.
+ *
+ * Permanent slots ('default' / 'second') open a period when a worker is put
+ * in the slot and close it (endDate) when they are replaced or removed.
+ * Temporary assignments get a period matching their start/end dates; removing
+ * one early cuts endDate short, and removing it before it starts cancels it.
+ *
+ * "Who worked this profile on March 3rd?" is then
+ *   { profile, cancelled: false, startDate <= d, endDate null or >= d }
+ */
+const SLOTS = ['default', 'second', 'temporary'];
+
+const assignmentHistorySchema = new mongoose.Schema(
+  {
+    profile: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    worker:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    slot:    { type: String, enum: SLOTS, required: true },
+
+    /** Who held the slot before this worker (permanent slots only) */
+    previousWorker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    startDate: { type: Date, required: true },
+    /** null = still assigned */
+    endDate:   { type: Date, default: null },
+
+    reason:     { type: String, trim: true, default: '' },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    endedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    endReason: { type: String, trim: true, default: '' },
+    /** Temporary assignment removed before it started — never in effect */
+    cancelled: { type: Boolean, default: false },
+
+    /** Links a temporary period to Profile.temporaryAssignments[]._id */
+    temporaryAssignmentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    /** Reconstructed from the profile's state when history started being kept */
+    inferred: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+assignmentHistorySchema.index({ profile: 1, startDate: -1 });
+assignmentHistorySchema.index({ worker: 1, startDate: -1 });
+assignmentHistorySchema.index({ profile: 1, slot: 1, endDate: 1 });
+assignmentHistorySchema.index({ temporaryAssignmentId: 1 }, { sparse: true });
+
+/**
+ * Query fragment matching periods in effect at any point between from and to.
+ */
+assignmentHistorySchema.statics.activeBetween = function (from, to = from) {
+  return {
+    cancelled: false,
+    startDate: { $lte: to },
+    $or: [{ endDate: null }, { endDate: { $gte: from } }],
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Static: seed history from a profile's current assignments the first time
+// it is touched, so profiles created before history existed still have a
+// starting point (flagged inferred, dated from the profile's creation).
+// ---------------------------------------------------------------------------
+assignmentHistorySchema.statics.ensureSeeded = async function (profile) {
+  if (await this.exists({ profile: profile._id })) return;
+
+  const docs = [];
+  const since = profile.createdAt || new Date();
+  if (profile.defaultWorker) docs.push({ profile: profile._id, worker: profile.defaultWorker, slot: 'default', startDate: since, inferred: true });
+  if (profile.secondWorker)  docs.push({ profile: profile._id, worker: profile.secondWorker,  slot: 'second',  startDate: since, inferred: true });
+  (profile.temporaryAssignments || []).forEach((a) => docs.push({
+    profile:               profile._id,
+    worker:                a.worker,
+    slot:                  'temporary',
+    startDate:             a.startDate,
+    endDate:               a.endDate,
+    reason:                a.reason,
+    temporaryAssignmentId: a._id,
+    inferred:              true,
+  }));
+
+  if (docs.length > 0) await this.insertMany(docs);
+};
+
+// ---------------------------------------------------------------------------
+// Static: a permanent slot changed hands (toWorker null = slot emptied).
+// Closes the open period for the slot and opens the next one.
+// ---------------------------------------------------------------------------
+assignmentHistorySchema.statics.recordPermanentChange = async function ({
+  profile, slot, fromWorker = null, toWorker = null, changedBy = null, reason = '', at = new Date(),
+}) {
+  const from = fromWorker ? fromWorker.toString() : null;
+  const to   = toWorker ? toWorker.toString() : null;
+  if (from === to) return null;
+
+  await this.updateMany(
+    { profile: profile._id, slot, endDate: null },
+    { endDate: at, endedBy: changedBy, endReason: reason || (to ? 'Replaced' : 'Removed') }
+  );
+
+  if (!to) return null;
+  return this.create({
+    profile:        profile._id,
+    worker:         toWorker,
+    slot,
+    previousWorker: fromWorker,
+    startDate:      at,
+    reason,
+    assignedBy:     changedBy,
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Static: a temporary assignment was added to profile.temporaryAssignments
+// ---------------------------------------------------------------------------
+assignmentHistorySchema.statics.recordTemporary = function ({ profile, assignment, changedBy = null }) {
+  return this.create({
+    profile:               profile._id,
+    worker:                assignment.worker,
+    slot:                  'temporary',
+    startDate:             assignment.startDate,
+    endDate:               assignment.endDate,
+    reason:                assignment.reason,
+    assignedBy:            changedBy,
+    temporaryAssignmentId: assignment._id,
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Static: a temporary assignment was removed — end it now, or cancel it if it
+// had not started yet
+// ---------------------------------------------------------------------------
+assignmentHistorySchema.statics.endTemporary = async function ({ assignmentId, changedBy = null, reason = 'Removed', at = new Date() }) {
+  const period = await this.findOne({ temporaryAssignmentId: assignmentId, cancelled: false });
+  if (!period) return null;
+
+  if (period.startDate > at) {
+    period.cancelled = true;
+  } else if (!period.endDate || period.endDate > at) {
+    period.endDate = at;
+  }
+  period.endedBy   = changedBy;
+  period.endReason = reason;
+  return period.save();
+};
+
+module.exports = mongoose.model('AssignmentHistory', assignmentHistorySchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog model — append-only record of every admin/superadmin mutation.
+ *
+ * Written by:
+ *  - the auditTrail model plugin (document-level diffs, see plugins/auditTrail.js)
+ *  - middleware/audit.js (request-level record when no document hook fired,
+ *    e.g. bulk updateMany calls)
+ *  - controllers directly, for reads that must be audited (AuditLog.record)
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actorRole: { type: String, default: null },
+    /** Set when the actor (a superadmin) was impersonating this user */
+    onBehalfOf: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    /** Set when the request was authenticated with an API key */
+    apiKey:     { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null },
+
+    /** e.g. 'entry.update', 'profile.delete', 'request.post' */
+    action:     { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId:   { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    /** Field-level diff: [{ field, before, after }] */
+    changes: [
+      {
+        _id:    false,
+        field:  String,
+        before: mongoose.Schema.Types.Mixed,
+        after:  mongoose.Schema.Types.Mixed,
+      },
+    ],
+    /** Free-form extra detail (bulk filters, affected counts, reasons) */
+    meta: { type: mongoose.Schema.Types.Mixed, default: undefined },
+
+    ip:        { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    method:    { type: String, default: '' },
+    path:      { type: String, default: '' },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: refuse edits through the model
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+  next(new Error('Audit log records are immutable'));
+});
+
+// ---------------------------------------------------------------------------
+// Static: write a record, filling actor/ip/path from the request context.
+// Never throws — a failed audit write is logged, not surfaced to the user.
+// ---------------------------------------------------------------------------
+auditLogSchema.statics.record = async function (entry, ctx = require('../utils/requestContext').get()) {
+  try {
+    const doc = await this.create({
+      actor:      ctx?.actor ?? null,
+      actorRole:  ctx?.actorRole ?? null,
+      onBehalfOf: ctx?.onBehalfOf ?? null,
+      apiKey:     ctx?.apiKey ?? null,
+      ip:         ctx?.ip ?? '',
+      userAgent:  ctx?.userAgent ?? '',
+      method:     ctx?.method ?? '',
+      path:       ctx?.path ?? '',
+      ...entry,
+    });
+    if (ctx) ctx.records = (ctx.records || 0) + 1;
+    return doc;
+  } catch (err) {
+    console.error('[Audit] Failed to write audit log:', err.message);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
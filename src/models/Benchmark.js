@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const benchmarkSchema = new mongoose.Schema(
   {
@@ -132,4 +133,6 @@ benchmarkSchema.methods.calculateEarnings = function (hours, overallScore) {
   };
 };
 
+benchmarkSchema.plugin(auditTrail, { targetType: 'Benchmark' });
+
 module.exports = mongoose.model('Benchmark', benchmarkSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 /**
  * Bonus model — stores extra bonuses assigned by superadmin.
@@ -36,4 +37,6 @@ const bonusSchema = new mongoose.Schema(
 bonusSchema.index({ user: 1, status: 1 });
 bonusSchema.index({ user: 1, createdAt: -1 });
 
+bonusSchema.plugin(auditTrail, { targetType: 'Bonus' });
+
 module.exports = mongoose.model('Bonus', bonusSchema);
\ No newline at end of file
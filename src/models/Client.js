@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+/**
+ * Client model — the customer a group of profiles is run for.
+ *
+ * Profiles point at their client (Profile.client) and also record the
+ * platform the account lives on (Profile.platform), so one client can have
+ * accounts on several platforms. Used for filtering and per-client reporting.
+ */
+const clientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'Client name cannot exceed 100 characters'],
+    },
+    contactName:  { type: String, trim: true, default: '' },
+    contactEmail: { type: String, trim: true, lowercase: true, default: '' },
+    notes:        { type: String, trim: true, maxlength: 1000, default: '' },
+    isActive:     { type: Boolean, default: true },
+    createdBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+clientSchema.plugin(auditTrail, { targetType: 'Client' });
+
+module.exports = mongoose.model('Client', clientSchema);
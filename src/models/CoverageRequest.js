@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+/**
+ * CoverageRequest model — a worker asking a colleague to cover one of their
+ * profiles for a date range.
+ *
+ * open      → created by the requesting worker (optionally aimed at one colleague)
+ * accepted  → a colleague has offered to cover
+ * approved  → an admin signed off; a temporary assignment now exists on the Profile
+ * rejected  → an admin turned it down
+ * cancelled → withdrawn by the requester
+ * expired   → still open/accepted when its end date passed
+ */
+const STATUSES = ['open', 'accepted', 'approved', 'rejected', 'cancelled', 'expired'];
+const PENDING_STATUSES = ['open', 'accepted'];
+
+const coverageRequestSchema = new mongoose.Schema(
+  {
+    profile:   { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    /** Only this colleague may accept; null = anyone eligible */
+    requestedWorker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    startDate: { type: Date, required: true },
+    endDate:   { type: Date, required: true },
+    reason:    { type: String, trim: true, maxlength: 500, default: '' },
+
+    status: { type: String, enum: STATUSES, default: 'open' },
+
+    coveringWorker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    acceptedAt:     { type: Date, default: null },
+
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, maxlength: 500, default: '' },
+
+    /** Profile.temporaryAssignments[]._id created on approval */
+    temporaryAssignmentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    closedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+coverageRequestSchema.index({ status: 1, endDate: 1 });
+coverageRequestSchema.index({ requester: 1, createdAt: -1 });
+coverageRequestSchema.index({ coveringWorker: 1, createdAt: -1 });
+coverageRequestSchema.index({ profile: 1, status: 1 });
+
+coverageRequestSchema.virtual('isPending').get(function () {
+  return PENDING_STATUSES.includes(this.status);
+});
+
+// ---------------------------------------------------------------------------
+// Static: auto-cancel pending requests whose window has ended.
+// Returns the expired requests (populated for notifications).
+// ---------------------------------------------------------------------------
+coverageRequestSchema.statics.expireStale = async function (now = new Date()) {
+  const stale = await this.find({ status: { $in: PENDING_STATUSES }, endDate: { $lte: now } })
+    .populate('profile', 'fullName')
+    .populate('requester', 'name email')
+    .populate('coveringWorker', 'name email');
+  if (stale.length === 0) return [];
+
+  // Only report the ones this call actually expired (another request may race us)
+  const { modifiedCount } = await this.updateMany(
+    { _id: { $in: stale.map((r) => r._id) }, status: { $in: PENDING_STATUSES } },
+    { status: 'expired', closedAt: now }
+  );
+  return modifiedCount > 0 ? stale : [];
+};
+
+coverageRequestSchema.statics.PENDING_STATUSES = PENDING_STATUSES;
+
+coverageRequestSchema.plugin(auditTrail, { targetType: 'CoverageRequest' });
+
+module.exports = mongoose.model('CoverageRequest', coverageRequestSchema);
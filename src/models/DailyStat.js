@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+/**
+ * DailyStat model — approved-entry totals per profile, worker and UTC day.
+ *
+ * Kept up to date incrementally by Entry hooks (applyChange), so rolling
+ * windows and lifetime profile stats never need a pass over all entries:
+ *   - Profile lifetime stats get the same delta via Profile.applyStatsDelta
+ *   - Profile/User rollingStats (7/30/90 days) are summed from at most 90
+ *     buckets per profile/worker pair (refreshRolling)
+ * Windows slide with the calendar, so jobs/rollingStats.js refreshes every
+ * subject periodically and rebuilds the buckets from scratch if they are empty.
+ */
+const WINDOWS = { d7: 7, d30: 30, d90: 90 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dailyStatSchema = new mongoose.Schema(
+  {
+    profile:      { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    worker:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    day:          { type: Date, required: true },
+    totalTime:    { type: Number, default: 0 },
+    totalQuality: { type: Number, default: 0 },
+    entryCount:   { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+dailyStatSchema.index({ profile: 1, worker: 1, day: 1 }, { unique: true });
+dailyStatSchema.index({ worker: 1, day: -1 });
+dailyStatSchema.index({ day: -1 });
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const buildWindow = (time = 0, quality = 0, count = 0) => {
+  const avgTime    = count > 0 ? time / count : 0;
+  const avgQuality = count > 0 ? quality / count : 0;
+  return {
+    totalHours:         round(time),
+    totalQuality:       round(quality),
+    entryCount:         count,
+    avgTime:            round(avgTime),
+    avgQuality:         round(avgQuality),
+    overallPerformance: round(avgQuality * 0.6 + avgTime * 0.4),
+  };
+};
+
+/**
+ * First day of a window ending today (today counts as day 1)
+ */
+const windowStart = (days, now = new Date()) => new Date(startOfDay(now).getTime() - (days - 1) * DAY_MS);
+
+dailyStatSchema.statics.WINDOWS = WINDOWS;
+dailyStatSchema.statics.windowStart = windowStart;
+dailyStatSchema.statics.buildWindow = buildWindow;
+
+// ---------------------------------------------------------------------------
+// Static: apply one entry change. before/after are what the entry counted
+// for ({ profile, worker, date, time, quality }) or null when it counted for
+// nothing (not approved / did not exist / deleted).
+// ---------------------------------------------------------------------------
+dailyStatSchema.statics.applyChange = async function (before, after) {
+  const buckets = new Map();
+  const add = (c, sign) => {
+    if (!c) return;
+    const day = startOfDay(c.date);
+    const key = `${c.profile}|${c.worker}|${day.getTime()}`;
+    const bucket = buckets.get(key) || { profile: c.profile, worker: c.worker, day, time: 0, quality: 0, count: 0 };
+    bucket.time    += sign * c.time;
+    bucket.quality += sign * c.quality;
+    bucket.count   += sign;
+    buckets.set(key, bucket);
+  };
+  add(before, -1);
+  add(after, 1);
+
+  const changes = [...buckets.values()].filter((b) => b.time || b.quality || b.count);
+  if (changes.length === 0) return;
+
+  await this.bulkWrite(changes.map((b) => ({
+    updateOne: {
+      filter: { profile: b.profile, worker: b.worker, day: b.day },
+      update: { $inc: { totalTime: b.time, totalQuality: b.quality, entryCount: b.count } },
+      upsert: true,
+    },
+  })));
+  await this.deleteMany({ profile: { $in: changes.map((b) => b.profile) }, entryCount: { $lte: 0 } });
+
+  const Profile = mongoose.model('Profile');
+  const byProfile = new Map();
+  changes.forEach((b) => {
+    const delta = byProfile.get(b.profile.toString()) || { time: 0, quality: 0, count: 0 };
+    delta.time += b.time;
+    delta.quality += b.quality;
+    delta.count += b.count;
+    byProfile.set(b.profile.toString(), delta);
+  });
+  for (const [profileId, delta] of byProfile) {
+    await Profile.applyStatsDelta(profileId, delta);
+  }
+
+  await this.refreshRolling({
+    profileIds: [...byProfile.keys()],
+    workerIds:  [...new Set(changes.map((b) => b.worker.toString()))],
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Static: recompute rollingStats on the given profiles and workers
+// ---------------------------------------------------------------------------
+dailyStatSchema.statics.refreshRolling = async function ({ profileIds = [], workerIds = [] }, now = new Date()) {
+  const sums = Object.fromEntries(Object.entries(WINDOWS).flatMap(([key, days]) => {
+    const inWindow = { $gte: ['$day', windowStart(days, now)] };
+    return [
+      [`${key}Time`,    { $sum: { $cond: [inWindow, '$totalTime', 0] } }],
+      [`${key}Quality`, { $sum: { $cond: [inWindow, '$totalQuality', 0] } }],
+      [`${key}Count`,   { $sum: { $cond: [inWindow, '$entryCount', 0] } }],
+    ];
+  }));
+
+  const refresh = async (field, ids, Model) => {
+    if (ids.length === 0) return;
+    const objectIds = ids.map((id) => new mongoose.Types.ObjectId(id.toString()));
+    const rows = await this.aggregate([
+      { $match: { [field]: { $in: objectIds }, day: { $gte: windowStart(WINDOWS.d90, now) } } },
+      { $group: { _id: `$${field}`, ...sums } },
+    ]);
+    const byId = new Map(rows.map((r) => [r._id.toString(), r]));
+
+    await Model.bulkWrite(objectIds.map((id) => {
+      const row = byId.get(id.toString()) || {};
+      const rolling = { computedAt: now };
+      Object.keys(WINDOWS).forEach((key) => {
+        rolling[key] = buildWindow(row[`${key}Time`], row[`${key}Quality`], row[`${key}Count`]);
+      });
+      return { updateOne: { filter: { _id: id }, update: { $set: { rollingStats: rolling } } } };
+    }));
+  };
+
+  await refresh('profile', profileIds, mongoose.model('Profile'));
+  await refresh('worker', workerIds, mongoose.model('User'));
+};
+
+// ---------------------------------------------------------------------------
+// Static: rebuild every bucket from the entries (first run / repair)
+// ---------------------------------------------------------------------------
+dailyStatSchema.statics.rebuild = async function () {
+  const Entry = mongoose.model('Entry');
+  await this.deleteMany({});
+
+  const rows = await Entry.aggregate([
+    { $match: { adminApproved: true } },
+    {
+      $group: {
+        _id: { profile: '$profile', worker: '$worker', day: { $dateTrunc: { date: '$date', unit: 'day', timezone: 'UTC' } } },
+        totalTime:    { $sum: { $ifNull: ['$adminTime', '$time'] } },
+        totalQuality: { $sum: { $ifNull: ['$adminQuality', '$quality'] } },
+        entryCount:   { $sum: 1 },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  if (rows.length > 0) {
+    await this.insertMany(rows.map(({ _id, ...totals }) => ({ ..._id, ...totals })), { ordered: false });
+  }
+  return rows.length;
+};
+
+module.exports = mongoose.model('DailyStat', dailyStatSchema);
@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const EntryRevision = require('./EntryRevision');
+const requestContext = require('../utils/requestContext');
+const storage = require('../utils/storage');
+
+/**
+ * Vetting states:
+ *   submitted     → waiting for an admin (new entries, and resubmissions)
+ *   approved      → vetted; the only state that counts for stats and payments
+ *   needs_changes → sent back to the worker with a reason; they edit and resubmit
+ *   rejected      → refused with a reason (e.g. fabricated); final
+ *
+ * adminApproved is kept in step with status (true only when approved) so
+ * every "approved work" query keeps filtering on it.
+ */
+const STATUSES = ['submitted', 'approved', 'needs_changes', 'rejected'];
+const TRANSITIONS = {
+  submitted:     ['approved', 'needs_changes', 'rejected'],
+  needs_changes: ['submitted', 'approved', 'rejected'],
+  approved:      ['approved', 'needs_changes', 'rejected'],
+  rejected:      [],
+};
+
+/**
+ * Evidence a worker attached (time-tracker screenshots, quality reports).
+ * The file itself lives in utils/storage under driver + key.
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    driver:       { type: String, required: true },
+    key:          { type: String, required: true },
+    /** Public URL when the driver provides one; otherwise download via the API */
+    url:          { type: String, default: null },
+    originalName: { type: String, trim: true, maxlength: 255, default: '' },
+    mimeType:     { type: String, required: true },
+    size:         { type: Number, required: true },
+    uploadedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    uploadedAt:   { type: Date, default: Date.now },
+  }
+);
 
 const entrySchema = new mongoose.Schema(
   {
@@ -40,6 +80,30 @@ const entrySchema = new mongoose.Schema(
       min: [0, 'Admin quality cannot be negative'],
       max: [100, 'Admin quality cannot exceed 100'],
     },
+    status: {
+      type: String,
+      enum: STATUSES,
+      // Entries from before statuses existed only have adminApproved
+      default: function () {
+        return this.adminApproved ? 'approved' : 'submitted';
+      },
+    },
+    /** Required when rejecting or requesting changes */
+    reviewReason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    resubmittedAt: {
+      type: Date,
+    },
     adminApproved: {
       type: Boolean,
       default: false,
@@ -59,6 +123,10 @@ const entrySchema = new mongoose.Schema(
       type: String,
       maxlength: [500, 'Admin notes cannot exceed 500 characters'],
     },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
     // Week tracking for aggregation
     weekNumber: {
       type: Number,
@@ -79,6 +147,39 @@ entrySchema.index({ profile: 1, worker: 1, date: 1 }, { unique: true });
 entrySchema.index({ worker: 1, date: -1 });
 entrySchema.index({ profile: 1, date: -1 });
 entrySchema.index({ weekNumber: 1, year: 1 });
+entrySchema.index({ status: 1, date: -1 });
+
+entrySchema.statics.STATUSES = STATUSES;
+entrySchema.statics.MAX_ATTACHMENTS = 10;
+
+/**
+ * Query fragment for entries in a status. Entries saved before statuses
+ * existed have no status field, so submitted/approved go by adminApproved.
+ */
+entrySchema.statics.statusQuery = function (status) {
+  if (status === 'approved')  return { adminApproved: true };
+  if (status === 'submitted') return { adminApproved: false, status: { $nin: ['needs_changes', 'rejected'] } };
+  return { status };
+};
+
+entrySchema.methods.canTransitionTo = function (status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+/**
+ * Say who is about to change this entry and why, for its EntryRevision
+ * (see models/EntryRevision.js). Call before save(); returns the entry.
+ */
+entrySchema.methods.trackRevision = function (source, changedBy, reference = null) {
+  this.$locals.revision = { source, changedBy, reference };
+  return this;
+};
+
+// Keep adminApproved in step with status
+entrySchema.pre('save', function (next) {
+  this.adminApproved = this.status === 'approved';
+  next();
+});
 
 // Calculate week number and year before saving
 entrySchema.pre('save', function (next) {
@@ -93,12 +194,90 @@ entrySchema.pre('save', function (next) {
   next();
 });
 
-// After save, update profile performance stats
+/**
+ * What an entry counts for in the stats: approved entries only, admin values
+ * winning over the worker's. null = counts for nothing.
+ */
+const statsContribution = (entry) => (entry.adminApproved
+  ? {
+    profile: entry.profile,
+    worker:  entry.worker,
+    date:    entry.date,
+    time:    entry.adminTime ?? entry.time,
+    quality: entry.adminQuality ?? entry.quality,
+  }
+  : null);
+
+// Remember what a loaded entry counted for and its tracked values, so a save
+// can apply just the difference and record a revision
+entrySchema.post('init', function () {
+  this.$locals.statsBefore = statsContribution(this);
+  this.$locals.revisionBefore = EntryRevision.snapshot(this);
+});
+
+// Without an explicit trackRevision(), fall back to the acting admin (if any)
+const revisionAuthor = (entry) => {
+  const ctx = requestContext.get();
+  return entry.$locals.revision || { source: 'system', changedBy: ctx ? ctx.actor : null, reference: null };
+};
+
+// Append an EntryRevision for every save that changed a tracked field
 entrySchema.post('save', async function () {
-  const Profile = require('./Profile');
-  await Profile.updatePerformanceStats(this.profile);
+  const after   = EntryRevision.snapshot(this);
+  const changes = EntryRevision.diffSnapshots(this.$locals.revisionBefore || null, after);
+  const author  = revisionAuthor(this);
+  this.$locals.revisionBefore = after;
+  this.$locals.revision = null;
+  if (changes.length === 0) return;
+
+  await EntryRevision.create({
+    entry:   this._id,
+    worker:  this.worker,
+    profile: this.profile,
+    ...author,
+    changes,
+  });
 });
 
+// After save, move daily buckets, profile stats and rolling windows by the difference
+entrySchema.post('save', async function () {
+  const DailyStat = require('./DailyStat');
+  const after = statsContribution(this);
+  await DailyStat.applyChange(this.$locals.statsBefore || null, after);
+  this.$locals.statsBefore = after;
+});
+
+entrySchema.post('findOneAndDelete', async function (doc) {
+  if (!doc) return;
+  const DailyStat = require('./DailyStat');
+  await DailyStat.applyChange(statsContribution(doc), null);
+
+  const ctx = requestContext.get();
+  await EntryRevision.create({
+    entry:     doc._id,
+    worker:    doc.worker,
+    profile:   doc.profile,
+    changedBy: ctx ? ctx.actor : null,
+    source:    'deletion',
+    changes:   EntryRevision.diffSnapshots(EntryRevision.snapshot(doc), null),
+  });
+});
+
+// Stored attachment files go with the entry
+const removeAttachmentFiles = (attachments = []) => Promise.all(attachments.map(async (a) => {
+  try {
+    await storage.getDriver(a.driver).remove(a);
+  } catch (err) {
+    console.error(`[Storage] Failed to remove ${a.driver}:${a.key}:`, err.message);
+  }
+}));
+
+entrySchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await removeAttachmentFiles(doc.attachments);
+});
+
+entrySchema.statics.removeAttachmentFiles = removeAttachmentFiles;
+
 // Virtual for effective time (admin value if approved, else worker value)
 entrySchema.virtual('effectiveTime').get(function () {
   return this.adminApproved && this.adminTime !== undefined
@@ -209,4 +388,9 @@ entrySchema.statics.getWorkerPerformanceStats = async function (startDate, endDa
   ]);
 };
 
+entrySchema.plugin(auditTrail, {
+  targetType: 'Entry',
+  ignore: ['weekNumber', 'year'],
+});
+
 module.exports = mongoose.model('Entry', entrySchema);
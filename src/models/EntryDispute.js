@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+/**
+ * EntryDispute model — a worker contesting the time/quality an admin set on
+ * one of their entries while vetting it.
+ *
+ * open     → opened by the worker with evidence; worker and admins can add
+ *            messages to the thread
+ * resolved → an admin settled it:
+ *              worker_values → the worker's own time/quality now count
+ *              admin_values  → the vetted values stand
+ *              custom        → new values entered by the admin
+ *
+ * The values in dispute are copied onto the dispute when it is opened so the
+ * record still makes sense after the entry changes. An entry can only have
+ * one open dispute at a time.
+ */
+const STATUSES = ['open', 'resolved'];
+const OUTCOMES = ['worker_values', 'admin_values', 'custom'];
+
+const messageSchema = new mongoose.Schema(
+  {
+    author:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    fromRole: { type: String, enum: ['worker', 'admin'], required: true },
+    body:     { type: String, required: true, trim: true, maxlength: 2000 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const valuesSchema = new mongoose.Schema(
+  {
+    time:    { type: Number, default: null },
+    quality: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const entryDisputeSchema = new mongoose.Schema(
+  {
+    entry:   { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+    worker:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    profile: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+
+    evidence: {
+      type: String,
+      required: [true, 'Evidence is required'],
+      trim: true,
+      maxlength: [2000, 'Evidence cannot exceed 2000 characters'],
+    },
+
+    /** What the worker logged and what the admin vetted, when opened */
+    workerValues: { type: valuesSchema, required: true },
+    adminValues:  { type: valuesSchema, required: true },
+
+    messages: { type: [messageSchema], default: [] },
+
+    status: { type: String, enum: STATUSES, default: 'open' },
+
+    outcome:        { type: String, enum: OUTCOMES, default: null },
+    resolvedValues: { type: valuesSchema, default: null },
+    resolutionNote: { type: String, trim: true, maxlength: 1000, default: '' },
+    resolvedBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt:     { type: Date, default: null },
+    /** Whether the resolution changed the entry's counted values (and so pay) */
+    payChanged:     { type: Boolean, default: false },
+    /**
+     * What happened to the week's payment when pay changed: recalculated,
+     * locked (already approved or paid, left as it was) or failed (needs fixing by hand)
+     */
+    paymentUpdate:  { type: String, enum: [null, 'recalculated', 'locked', 'failed'], default: null },
+  },
+  { timestamps: true }
+);
+
+entryDisputeSchema.index({ entry: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+entryDisputeSchema.index({ worker: 1, createdAt: -1 });
+entryDisputeSchema.index({ status: 1, createdAt: -1 });
+
+entryDisputeSchema.statics.STATUSES = STATUSES;
+entryDisputeSchema.statics.OUTCOMES = OUTCOMES;
+
+entryDisputeSchema.plugin(auditTrail, { targetType: 'EntryDispute', ignore: ['messages'] });
+
+module.exports = mongoose.model('EntryDispute', entryDisputeSchema);
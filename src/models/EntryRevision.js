@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * EntryRevision model — append-only history of an Entry. One record per save
+ * that changed a tracked field (written by the Entry post-save hook), plus one
+ * when the entry is deleted.
+ *
+ * source says what made the change:
+ *   worker_submit   → first submission (before = null for every field)
+ *   worker_edit     → worker changed a submitted / sent-back entry
+ *   worker_resubmit → worker resubmitted an entry sent back for changes
+ *   vetting         → admin approved / rejected / requested changes
+ *   dispute         → admin resolved a dispute (reference = the EntryDispute)
+ *   deletion        → admin deleted the entry
+ *   system          → anything else (scripts, hooks without a source)
+ *
+ * Records are never updated or removed once written.
+ */
+const SOURCES = ['worker_submit', 'worker_edit', 'worker_resubmit', 'vetting', 'dispute', 'deletion', 'system'];
+const TRACKED_FIELDS = ['time', 'quality', 'notes', 'adminTime', 'adminQuality', 'adminNotes', 'status', 'reviewReason'];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field:  { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after:  { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const entryRevisionSchema = new mongoose.Schema(
+  {
+    entry:   { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+    worker:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    profile: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    source:    { type: String, enum: SOURCES, default: 'system' },
+    reference: { type: mongoose.Schema.Types.ObjectId, default: null },
+    changes:   { type: [changeSchema], default: [] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+entryRevisionSchema.index({ entry: 1, createdAt: 1 });
+entryRevisionSchema.index({ worker: 1, createdAt: -1 });
+
+entryRevisionSchema.statics.SOURCES = SOURCES;
+entryRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+/**
+ * Tracked field values of an entry, for diffing (unset and empty → null)
+ */
+entryRevisionSchema.statics.snapshot = function (entry) {
+  return Object.fromEntries(TRACKED_FIELDS.map((field) => [field, entry[field] === '' ? null : entry[field] ?? null]));
+};
+
+/**
+ * Changed fields between two snapshots (before null = the entry is new,
+ * after null = it was deleted)
+ */
+entryRevisionSchema.statics.diffSnapshots = function (before, after) {
+  return TRACKED_FIELDS
+    .map((field) => ({ field, before: before ? before[field] : null, after: after ? after[field] : null }))
+    .filter((change) => change.before !== change.after);
+};
+
+// Append-only
+entryRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Entry revisions cannot be changed'));
+  next();
+});
+
+entryRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Entry revisions cannot be changed'));
+});
+
+module.exports = mongoose.model('EntryRevision', entryRevisionSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const auditTrail = require('./plugins/auditTrail');
+
+/**
+ * Invitation model — admin-initiated onboarding.
+ *
+ * An admin invites an email address with a role and optional profiles to
+ * pre-assign. The invitee gets a single-use link; accepting it creates an
+ * already-approved, already-verified user (no approveUser step needed).
+ *
+ * Only the SHA-256 hash of the link token is stored, like password resets.
+ */
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+    name: { type: String, trim: true, default: '' },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
+    /** Profiles the new user is assigned to on acceptance */
+    assignedProfiles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }],
+
+    tokenHash: { type: String, required: true, select: false },
+    expiresAt: { type: Date, required: true },
+
+    /** pending → accepted | revoked (expired is derived from expiresAt) */
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+
+    invitedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastSentAt: { type: Date, default: null },
+    sendCount:  { type: Number, default: 0 },
+
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    acceptedAt:   { type: Date, default: null },
+    revokedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revokedAt:    { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON:   { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ status: 1, createdAt: -1 });
+// Clean up pending invitations a week after they expire (kept briefly so admins can resend)
+invitationSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'pending' } }
+);
+
+invitationSchema.virtual('isExpired').get(function () {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Instance: generate a new link token (also used for resends).
+// Returns the plain token so it can be emailed.
+// ---------------------------------------------------------------------------
+invitationSchema.methods.createToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+  return token;
+};
+
+// ---------------------------------------------------------------------------
+// Static: find a pending, unexpired invitation by its plain link token
+// ---------------------------------------------------------------------------
+invitationSchema.statics.findValidByToken = function (token) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    tokenHash,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+invitationSchema.plugin(auditTrail, { targetType: 'Invitation' });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
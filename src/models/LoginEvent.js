@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * LoginEvent model — one record per login attempt (successful or not).
+ *
+ * Used by admins to investigate compromised worker accounts and by the
+ * login flow to spot sign-ins from a device the user has not used before.
+ * Records are kept for 180 days.
+ */
+const OUTCOMES = [
+  'success',
+  'failed_password',
+  'failed_2fa',
+  'locked',
+  'unknown_email',
+  'not_approved',
+  'deactivated',
+  'failed_sso',
+];
+
+const METHODS = ['password', 'oidc'];
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    user:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    email: { type: String, lowercase: true, trim: true },
+
+    outcome: { type: String, enum: OUTCOMES, required: true },
+    method:  { type: String, enum: METHODS, default: 'password' },
+
+    ip:        { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    /** Hash of the user agent — stable per browser/device, used for new-device checks */
+    deviceId:  { type: String, default: '' },
+    /** True when a successful login came from a device with no previous successful login */
+    newDevice: { type: Boolean, default: false },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, outcome: 1, deviceId: 1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const deviceIdFor = (userAgent) =>
+  crypto.createHash('sha256').update(userAgent || 'unknown').digest('hex').slice(0, 32);
+
+// ---------------------------------------------------------------------------
+// Static: record an attempt from an Express request.
+// For successful logins, flags newDevice when this device has no prior success.
+// ---------------------------------------------------------------------------
+loginEventSchema.statics.record = async function (req, { user = null, email, outcome, method = 'password' }) {
+  const userAgent = (req.headers && req.headers['user-agent']) || '';
+  const deviceId  = deviceIdFor(userAgent);
+
+  let newDevice = false;
+  if (outcome === 'success' && user) {
+    const seen = await this.exists({ user: user._id, outcome: 'success', deviceId });
+    // A user's very first login isn't "new device" worthy
+    const anyPrior = seen || (await this.exists({ user: user._id, outcome: 'success' }));
+    newDevice = !seen && !!anyPrior;
+  }
+
+  return this.create({
+    user:  user ? user._id : null,
+    email: email || (user && user.email),
+    outcome,
+    method,
+    ip: req.ip || '',
+    userAgent,
+    deviceId,
+    newDevice,
+  });
+};
+
+loginEventSchema.statics.OUTCOMES = OUTCOMES;
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
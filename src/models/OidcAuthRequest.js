@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * OidcAuthRequest model — server-side state for one SSO sign-in attempt.
+ *
+ * pending        → created by GET /oidc/login (holds the PKCE verifier + nonce)
+ * authenticated  → the callback verified the ID token and resolved a user;
+ *                  the browser is sent to the frontend with a one-time
+ *                  exchange code, swapped for tokens via POST /oidc/exchange
+ *
+ * State and exchange codes are stored hashed. Documents expire after
+ * 10 minutes whatever their status.
+ */
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+const EXCHANGE_TTL_MS     = 2 * 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const oidcAuthRequestSchema = new mongoose.Schema(
+  {
+    stateHash:    { type: String, required: true, unique: true },
+    codeVerifier: { type: String, required: true, select: false },
+    nonce:        { type: String, required: true },
+
+    status: {
+      type: String,
+      enum: ['pending', 'callback', 'authenticated'],
+      default: 'pending',
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    exchangeCodeHash:  { type: String, default: null },
+    exchangeExpiresAt: { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+oidcAuthRequestSchema.index({ exchangeCodeHash: 1 }, { sparse: true });
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ---------------------------------------------------------------------------
+// Static: start an attempt. Returns the plain state for the authorize URL.
+// ---------------------------------------------------------------------------
+oidcAuthRequestSchema.statics.start = async function ({ state, nonce, codeVerifier }) {
+  await this.create({
+    stateHash: hash(state),
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + AUTH_REQUEST_TTL_MS),
+  });
+  return state;
+};
+
+// ---------------------------------------------------------------------------
+// Static: claim a pending attempt by its state (single use)
+// ---------------------------------------------------------------------------
+oidcAuthRequestSchema.statics.claimByState = function (state) {
+  return this.findOneAndUpdate(
+    { stateHash: hash(state), status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: 'callback' },
+    { new: true }
+  ).select('+codeVerifier');
+};
+
+// ---------------------------------------------------------------------------
+// Instance: mark authenticated and return a one-time exchange code
+// ---------------------------------------------------------------------------
+oidcAuthRequestSchema.methods.issueExchangeCode = async function (userId) {
+  const code = crypto.randomBytes(32).toString('hex');
+  this.status            = 'authenticated';
+  this.user              = userId;
+  this.exchangeCodeHash  = hash(code);
+  this.exchangeExpiresAt = new Date(Date.now() + EXCHANGE_TTL_MS);
+  await this.save();
+  return code;
+};
+
+// ---------------------------------------------------------------------------
+// Static: consume an exchange code (single use). Returns the user id or null.
+// ---------------------------------------------------------------------------
+oidcAuthRequestSchema.statics.consumeExchangeCode = async function (code) {
+  const request = await this.findOneAndDelete({
+    exchangeCodeHash:  hash(code),
+    status:            'authenticated',
+    exchangeExpiresAt: { $gt: new Date() },
+  });
+  return request ? request.user : null;
+};
+
+module.exports = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
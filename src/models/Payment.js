@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const weeklyPaymentSchema = new mongoose.Schema(
   {
@@ -122,18 +123,21 @@ weeklyPaymentSchema.statics.createOrUpdateWeeklyPayment = async function (
     totalEarnings = baseEarnings;
   }
 
-  // Merge pending user.extraBonus into this payment
-  let extraBonus = 0, extraBonusReason = '';
+  // Keep any bonus already merged into this week, then merge pending user.extraBonus on top
+  const existing = await this.findOne({ user: userId, weekStart, paymentType: 'regular' }).select('extraBonus extraBonusReason');
+  let extraBonus       = existing ? Number(existing.extraBonus) || 0 : 0;
+  let extraBonusReason = existing ? existing.extraBonusReason || '' : '';
   const owner = await User.findById(userId).select('extraBonus extraBonusReason');
   if (owner && Number(owner.extraBonus) > 0) {
-    extraBonus       = Number(owner.extraBonus);
-    extraBonusReason = owner.extraBonusReason || '';
-    totalEarnings   += extraBonus;
+    const pending = Number(owner.extraBonus);
+    extraBonus      += pending;
+    extraBonusReason = [extraBonusReason, owner.extraBonusReason].filter(Boolean).join('; ');
     owner.extraBonus       = 0;
     owner.extraBonusReason = '';
     await owner.save();
-    console.log(`[Payment] Merged bonus ₦${extraBonus} into week ${weekNumber}/${year} for user ${userId}`);
+    console.log(`[Payment] Merged bonus ₦${pending} into week ${weekNumber}/${year} for user ${userId}`);
   }
+  totalEarnings += extraBonus;
 
   const payment = await this.findOneAndUpdate(
     { user: userId, weekStart, paymentType: 'regular' },
@@ -155,6 +159,45 @@ weeklyPaymentSchema.statics.createOrUpdateWeeklyPayment = async function (
   return payment;
 };
 
+// A regular payment that has been approved or paid is settled — its totals
+// must not be rebuilt from entries any more.
+weeklyPaymentSchema.methods.isLocked = function () {
+  return this.paid || ['approved', 'paid'].includes(this.status);
+};
+
+// ── recalculateForEntry ───────────────────────────────────────────────────────
+//
+// Rebuilds the regular payment for the week an entry falls in (in the worker's
+// own week) from that week's approved entries. Call after an entry's approval
+// or vetted values change.
+//
+// Resolves to { payment, locked }. When the week's payment is already approved
+// or paid it is left untouched and locked is true; the caller reports that.
+weeklyPaymentSchema.statics.recalculateForEntry = async function (entry) {
+  const User      = mongoose.model('User');
+  const Entry     = mongoose.model('Entry');
+  const Benchmark = mongoose.model('Benchmark');
+
+  const worker = await User.findById(entry.worker).select('weekStartDay');
+  const weekStartDay = worker ? (worker.weekStartDay ?? 2) : 2;
+  const { weekStart, weekEnd } = this.getWeekBoundaries(new Date(entry.date), weekStartDay);
+  const { weekNumber, year }   = this.getWeekNumberAndYear(weekStart);
+
+  const existing = await this.findOne({ user: entry.worker, weekStart, paymentType: 'regular' });
+  if (existing && existing.isLocked()) return { payment: existing, locked: true };
+
+  const benchmark = (await Benchmark.getCurrentBenchmark()) || (await Benchmark.getLatestBenchmark());
+
+  const stats = await Entry.aggregate([
+    { $match: { worker: entry.worker, date: { $gte: weekStart, $lte: weekEnd }, adminApproved: true } },
+    { $group: { _id: null, totalHours: { $sum: { $ifNull: ['$adminTime', '$time'] } }, avgQuality: { $avg: { $ifNull: ['$adminQuality', '$quality'] } }, entryCount: { $sum: 1 }, avgTime: { $avg: { $ifNull: ['$adminTime', '$time'] } } } },
+  ]);
+  const weekStats = stats[0] || { totalHours: 0, avgQuality: 0, entryCount: 0, avgTime: 0 };
+
+  const payment = await this.createOrUpdateWeeklyPayment(entry.worker.toString(), weekStart, weekEnd, weekNumber, year, weekStats, benchmark, weekStartDay);
+  return { payment, locked: false };
+};
+
 // ── createBonusPayment ────────────────────────────────────────────────────────
 //
 // Always creates a NEW bonus record so admins can assign multiple separate bonuses.
@@ -211,4 +254,6 @@ weeklyPaymentSchema.statics.getUserPayments = async function (userId, options =
   return { payments, total, page: parseInt(page), pages: Math.ceil(total / limit) };
 };
 
+weeklyPaymentSchema.plugin(auditTrail, { targetType: 'WeeklyPayment' });
+
 module.exports = mongoose.model('WeeklyPayment', weeklyPaymentSchema);
\ No newline at end of file
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const auditTrail = require('./plugins/auditTrail');
+const rollingStats = require('./plugins/rollingStats');
+const vault = require('../utils/vault');
+
+const CREDENTIAL_FIELDS = ['password', 'backupCodes', 'securityAnswers'];
 
 const temporaryAssignmentSchema = new mongoose.Schema(
   {
@@ -20,6 +25,9 @@ const temporaryAssignmentSchema = new mongoose.Schema(
       type: String,
       default: 'Temporary assignment',
     },
+    // Set by the temporary-assignments job so each notice goes out once
+    endReminderSentAt: { type: Date, default: null },
+    lapseAlertSentAt:  { type: Date, default: null },
   },
   { _id: true }
 );
@@ -58,6 +66,24 @@ const profileSchema = new mongoose.Schema(
       required: [true, 'Account bearer name is required'],
       trim: true,
     },
+    /** Customer this account is run for (models/Client.js) */
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      default: null,
+    },
+    /** Platform the account lives on, e.g. "Outlier" */
+    platform: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    /** Free-form labels, stored lowercase and de-duplicated */
+    tags: {
+      type: [String],
+      default: [],
+      set: (tags) => [...new Set((tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean))],
+    },
     /**
      * Primary assigned worker (slot 1).
      */
@@ -77,10 +103,28 @@ const profileSchema = new mongoose.Schema(
       default: null,
     },
     temporaryAssignments: [temporaryAssignmentSchema],
+    /**
+     * Client login details for the assigned worker — password, 2FA backup
+     * codes, security answers — envelope-encrypted by utils/vault.js.
+     * `password` above is a one-way hash and cannot be handed out.
+     * Use setCredentials() / getCredentials(), never this field directly.
+     */
+    encryptedCredentials: { type: mongoose.Schema.Types.Mixed, select: false, default: undefined },
+    credentialsVersion:   { type: Number, default: 0 },
+    credentialsUpdatedAt: { type: Date, default: null },
+    credentialsUpdatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     isActive: {
       type: Boolean,
       default: true,
     },
+    /**
+     * Archived profiles are hidden from admin and worker lists and take no new
+     * entries, but keep their entries so past payments stay explainable.
+     * Restorable; only a superadmin purge removes them for good.
+     */
+    archivedAt:    { type: Date, default: null },
+    archivedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    archiveReason: { type: String, trim: true, default: '' },
     // Aggregated performance stats (recalculated on each entry save)
     totalTimeLogged: { type: Number, default: 0 },
     totalQualityScore: { type: Number, default: 0 },
@@ -90,10 +134,37 @@ const profileSchema = new mongoose.Schema(
     entryCount: { type: Number, default: 0 },
     adminVettedTime: { type: Number, default: 0 },
     adminVettedQuality: { type: Number, default: 0 },
+    /**
+     * Health snapshot from recent entries, refreshed by jobs/profileHealth.js.
+     * score 0–100; status from SystemSetting.healthThresholds.
+     */
+    health: {
+      score:              { type: Number, default: null },
+      status:             { type: String, enum: ['unknown', 'healthy', 'warning', 'at_risk'], default: 'unknown' },
+      reasons:            { type: [String], default: [] },
+      lastEntryAt:        { type: Date, default: null },
+      daysSinceLastEntry: { type: Number, default: null },
+      recentQuality:      { type: Number, default: null },
+      previousQuality:    { type: Number, default: null },
+      /** % change of recentQuality vs previousQuality (negative = falling) */
+      qualityTrend:       { type: Number, default: null },
+      /** Share of vetted entries whose time or quality the admin changed */
+      correctionRate:     { type: Number, default: null },
+      vettedCount:        { type: Number, default: 0 },
+      computedAt:         { type: Date, default: null },
+      /** When admins were last told this profile became at risk */
+      alertedAt:          { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.encryptedCredentials;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -102,6 +173,15 @@ profileSchema.index({ overallPerformance: -1 });
 profileSchema.index({ defaultWorker: 1 });
 profileSchema.index({ secondWorker: 1 });
 profileSchema.index({ email: 1 });
+profileSchema.index({ archivedAt: 1 });
+profileSchema.index({ client: 1 });
+profileSchema.index({ platform: 1 });
+profileSchema.index({ tags: 1 });
+profileSchema.index({ 'health.status': 1, 'health.score': 1 });
+
+profileSchema.virtual('isArchived').get(function () {
+  return !!this.archivedAt;
+});
 
 /**
  * Returns the effective worker(s) right now.
@@ -149,6 +229,39 @@ profileSchema.methods.isWorkerAssigned = function (workerId) {
   return this.getActiveWorkers().includes(workerId.toString());
 };
 
+/**
+ * Merge changes ({ password, backupCodes, securityAnswers }) into the stored
+ * credentials and re-encrypt under a new data key. Load the document with
+ * +encryptedCredentials first, or existing values would be lost.
+ * replace: true discards what was stored (e.g. sealed with a lost master key).
+ */
+profileSchema.methods.setCredentials = function (changes, updatedBy = null, { replace = false } = {}) {
+  if (!this.isNew && !this.isSelected('encryptedCredentials')) {
+    throw new Error('Load the profile with +encryptedCredentials before changing credentials');
+  }
+
+  const next = replace ? {} : { ...this.getCredentials() };
+  CREDENTIAL_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) next[field] = changes[field];
+  });
+
+  this.encryptedCredentials = vault.seal(next);
+  this.markModified('encryptedCredentials');
+  if (changes.password) this.password = changes.password;
+
+  this.credentialsVersion   = (this.credentialsVersion || 0) + 1;
+  this.credentialsUpdatedAt = new Date();
+  this.credentialsUpdatedBy = updatedBy;
+};
+
+/**
+ * Decrypted credentials (empty values when none are stored).
+ */
+profileSchema.methods.getCredentials = function () {
+  const stored = this.encryptedCredentials ? vault.open(this.encryptedCredentials) : {};
+  return { password: null, backupCodes: [], securityAnswers: [], ...stored };
+};
+
 // Hash password before saving
 profileSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -159,7 +272,8 @@ profileSchema.pre('save', async function (next) {
 
 /**
  * Recalculate and persist profile-level performance stats from all entries.
- * Called after every Entry save via Entry post-save hook.
+ * Entry saves apply deltas instead (applyStatsDelta); this full pass is for
+ * seeding and repairs.
  * IMPORTANT: Only counts adminApproved entries so stats reflect vetted work.
  */
 profileSchema.statics.updatePerformanceStats = async function (profileId) {
@@ -186,21 +300,56 @@ profileSchema.statics.updatePerformanceStats = async function (profileId) {
     },
   ]);
 
-  if (stats.length > 0) {
-    const stat = stats[0];
-    const overallPerformance = stat.avgQuality * 0.6 + stat.avgTime * 0.4;
-
-    await this.findByIdAndUpdate(profileId, {
-      totalTimeLogged: stat.totalTime,
-      totalQualityScore: stat.totalQuality,
-      averageTime: Math.round(stat.avgTime * 100) / 100,
-      averageQuality: Math.round(stat.avgQuality * 100) / 100,
-      overallPerformance: Math.round(overallPerformance * 100) / 100,
-      entryCount: stat.count,
-      adminVettedTime: stat.adminTotalTime,
-      adminVettedQuality: stat.adminTotalQuality,
-    });
-  }
+  // No approved entries left → back to zero rather than keeping old numbers
+  const stat = stats[0] || {
+    totalTime: 0, totalQuality: 0, avgTime: 0, avgQuality: 0, count: 0, adminTotalTime: 0, adminTotalQuality: 0,
+  };
+  const overallPerformance = stat.avgQuality * 0.6 + stat.avgTime * 0.4;
+
+  await this.findByIdAndUpdate(profileId, {
+    totalTimeLogged: stat.totalTime,
+    totalQualityScore: stat.totalQuality,
+    averageTime: Math.round(stat.avgTime * 100) / 100,
+    averageQuality: Math.round(stat.avgQuality * 100) / 100,
+    overallPerformance: Math.round(overallPerformance * 100) / 100,
+    entryCount: stat.count,
+    adminVettedTime: stat.adminTotalTime,
+    adminVettedQuality: stat.adminTotalQuality,
+  });
+};
+
+/**
+ * Shift lifetime stats by one change ({ time, quality, count }) and
+ * re-derive the averages — applied by DailyStat.applyChange after each
+ * entry save/delete instead of re-aggregating every entry.
+ */
+profileSchema.statics.applyStatsDelta = function (profileId, { time, quality, count }) {
+  const avg = (total) => ({ $cond: [{ $gt: ['$entryCount', 0] }, { $divide: [total, '$entryCount'] }, 0] });
+  return this.updateOne({ _id: profileId }, [
+    {
+      $set: {
+        totalTimeLogged:   { $add: [{ $ifNull: ['$totalTimeLogged', 0] }, time] },
+        totalQualityScore: { $add: [{ $ifNull: ['$totalQualityScore', 0] }, quality] },
+        entryCount:        { $max: [0, { $add: [{ $ifNull: ['$entryCount', 0] }, count] }] },
+      },
+    },
+    {
+      $set: {
+        adminVettedTime:    '$totalTimeLogged',
+        adminVettedQuality: '$totalQualityScore',
+        averageTime:        { $round: [avg('$totalTimeLogged'), 2] },
+        averageQuality:     { $round: [avg('$totalQualityScore'), 2] },
+        overallPerformance: { $round: [{ $add: [{ $multiply: [avg('$totalQualityScore'), 0.6] }, { $multiply: [avg('$totalTimeLogged'), 0.4] }] }, 2] },
+      },
+    },
+  ]);
 };
 
+profileSchema.plugin(rollingStats);
+
+profileSchema.plugin(auditTrail, {
+  targetType: 'Profile',
+  ignore: ['totalTimeLogged', 'totalQualityScore', 'averageQuality', 'averageTime', 'overallPerformance', 'entryCount', 'adminVettedTime', 'adminVettedQuality', 'health', 'rollingStats'],
+});
+
 module.exports = mongoose.model('Profile', profileSchema);
\ No newline at end of file
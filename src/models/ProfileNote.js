@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+/**
+ * ProfileNote model — internal context kept against a client Profile
+ * ("client asked for slower pace", "flagged by platform").
+ *
+ * visibility
+ *   admins  → only admins see it (GET /api/admin/profile/:id/notes)
+ *   workers → also shown to the workers assigned to the profile
+ *             (GET /api/user/assigned-profiles)
+ *
+ * Pinned notes are listed first. Each edit keeps the previous body in
+ * edits[], oldest first.
+ */
+const VISIBILITIES = ['admins', 'workers'];
+
+const editSchema = new mongoose.Schema(
+  {
+    body:     { type: String, required: true },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    editedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const profileNoteSchema = new mongoose.Schema(
+  {
+    profile: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    author:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    body: {
+      type: String,
+      required: [true, 'Note body is required'],
+      trim: true,
+      maxlength: [2000, 'Note cannot exceed 2000 characters'],
+    },
+    pinned:     { type: Boolean, default: false },
+    visibility: { type: String, enum: VISIBILITIES, default: 'admins' },
+
+    edits:        { type: [editSchema], default: [] },
+    lastEditedAt: { type: Date, default: null },
+    lastEditedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+profileNoteSchema.index({ profile: 1, pinned: -1, createdAt: -1 });
+profileNoteSchema.index({ profile: 1, visibility: 1 });
+
+profileNoteSchema.statics.VISIBILITIES = VISIBILITIES;
+
+// ---------------------------------------------------------------------------
+// Instance: replace the body, keeping the old one in the edit history
+// ---------------------------------------------------------------------------
+profileNoteSchema.methods.editBody = function (body, userId) {
+  if (body === this.body) return false;
+  this.edits.push({ body: this.body, editedBy: userId, editedAt: new Date() });
+  this.body         = body;
+  this.lastEditedAt = new Date();
+  this.lastEditedBy = userId;
+  return true;
+};
+
+profileNoteSchema.plugin(auditTrail, { targetType: 'ProfileNote', ignore: ['edits'] });
+
+module.exports = mongoose.model('ProfileNote', profileNoteSchema);
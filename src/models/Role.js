@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const {
+  ALL_PERMISSIONS,
+  ASSIGNABLE_PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+} = require('../config/permissions');
+
+/**
+ * Role model — a named, editable bundle of permissions for admin accounts.
+ *
+ * An admin's permissions come from user.accessRole, falling back to the
+ * built-in "admin" role (isSystem) when none is set. Superadmins bypass
+ * roles entirely and hold every permission.
+ *
+ * Examples: a "reviewer" role with only entries.view + entries.vet, or a
+ * "finance" role with the payments.* permissions.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9-]+$/, 'Role name may only contain lowercase letters, numbers and dashes'],
+    },
+    label:       { type: String, trim: true, default: '' },
+    description: { type: String, trim: true, default: '' },
+    permissions: {
+      type: [{ type: String, enum: ASSIGNABLE_PERMISSIONS }],
+      default: [],
+    },
+    /** Built-in roles can be edited but not deleted or renamed */
+    isSystem:  { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+// ---------------------------------------------------------------------------
+// Static: load the built-in admin role, creating it on first use
+// ---------------------------------------------------------------------------
+roleSchema.statics.getDefaultAdminRole = async function () {
+  return this.findOneAndUpdate(
+    { name: 'admin' },
+    {
+      $setOnInsert: {
+        name: 'admin',
+        label: 'Admin',
+        description: 'Default role for admin accounts',
+        permissions: DEFAULT_ADMIN_PERMISSIONS,
+        isSystem: true,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// ---------------------------------------------------------------------------
+// Static: resolve the effective permission list for a user
+// ---------------------------------------------------------------------------
+roleSchema.statics.getPermissionsForUser = async function (user) {
+  if (user.role === 'superadmin') return [...ALL_PERMISSIONS];
+  if (user.role !== 'admin') return [];
+
+  let role = user.accessRole ? await this.findById(user.accessRole) : null;
+  if (!role) role = await this.getDefaultAdminRole();
+  // Roles saved before a permission became superadmin-only may still list it
+  return role.permissions.filter((p) => ASSIGNABLE_PERMISSIONS.includes(p));
+};
+
+// Drop such stale permissions on the next save instead of failing validation
+roleSchema.pre('validate', function (next) {
+  if (this.permissions.some((p) => !ASSIGNABLE_PERMISSIONS.includes(p))) {
+    this.permissions = this.permissions.filter((p) => ASSIGNABLE_PERMISSIONS.includes(p));
+  }
+  next();
+});
+
+// ---------------------------------------------------------------------------
+// Static: active admin/superadmin accounts holding a permission (for alerts)
+// ---------------------------------------------------------------------------
+roleSchema.statics.findUsersWithPermission = async function (permission) {
+  const User = mongoose.model('User');
+  const admins = await User.find({ role: { $in: ['admin', 'superadmin'] }, isActive: true }).select('name email role accessRole');
+  const allowed = await Promise.all(admins.map(async (a) => (await this.getPermissionsForUser(a)).includes(permission)));
+  return admins.filter((a, i) => allowed[i]);
+};
+
+roleSchema.plugin(auditTrail, { targetType: 'Role' });
+
+module.exports = mongoose.model('Role', roleSchema);
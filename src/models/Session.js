@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Session model — one document per login (device/browser).
+ *
+ * Access tokens are short-lived JWTs that carry the session id (`sid`).
+ * `protect` looks the session up on every request, so revoking a session
+ * cuts the holder off immediately instead of waiting for the JWT to expire.
+ *
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is
+ * stored. Every refresh rotates the token. Presenting the *previous* token
+ * again means it was copied, so the whole session is revoked.
+ *
+ * Impersonation sessions (superadmin acting as a worker) have no refresh
+ * token, a short fixed lifetime and record the superadmin in `impersonator`.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenTTL = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const impersonationTTL = () =>
+  (parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30) * 60 * 1000;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    refreshTokenHash: {
+      type: String,
+      required: function () { return !this.impersonator; },
+      select: false,
+    },
+    previousRefreshTokenHash: { type: String, default: null, select: false },
+
+    userAgent:  { type: String, default: '' },
+    ip:         { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt:  { type: Date, required: true },
+
+    /** Superadmin acting as `user` (impersonation sessions only) */
+    impersonator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    /** Set when the session is killed (logout, sessions page, admin action, reuse) */
+    revokedAt:     { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isValid').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousRefreshTokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Static: open a new session for a user. Returns the plain refresh token once.
+// ---------------------------------------------------------------------------
+sessionSchema.statics.createForUser = async function (userId, req = {}) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  const session = await this.create({
+    user:             userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent:        (req.headers && req.headers['user-agent']) || '',
+    ip:               req.ip || '',
+    expiresAt:        new Date(Date.now() + refreshTokenTTL()),
+  });
+  return { session, refreshToken };
+};
+
+// ---------------------------------------------------------------------------
+// Static: open a short-lived impersonation session (no refresh token)
+// ---------------------------------------------------------------------------
+sessionSchema.statics.createImpersonation = function (userId, impersonatorId, req = {}) {
+  return this.create({
+    user:         userId,
+    impersonator: impersonatorId,
+    userAgent:    (req.headers && req.headers['user-agent']) || '',
+    ip:           req.ip || '',
+    expiresAt:    new Date(Date.now() + impersonationTTL()),
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Static: find the session a refresh token belongs to.
+// Returns { session, reused } — reused=true when an already-rotated token
+// was presented.
+// ---------------------------------------------------------------------------
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const session = await this.findOne({ refreshTokenHash: hash })
+    .select('+refreshTokenHash +previousRefreshTokenHash');
+  if (session) return { session, reused: false };
+
+  const reusedSession = await this.findOne({ previousRefreshTokenHash: hash });
+  if (reusedSession) return { session: reusedSession, reused: true };
+
+  return { session: null, reused: false };
+};
+
+// ---------------------------------------------------------------------------
+// Static: revoke every live session for a user (optionally keeping one)
+// ---------------------------------------------------------------------------
+sessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  const result = await this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// ---------------------------------------------------------------------------
+// Instance: issue a new refresh token, remembering the old hash for reuse checks
+// ---------------------------------------------------------------------------
+sessionSchema.methods.rotate = async function (req = {}) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  this.previousRefreshTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash         = hashToken(refreshToken);
+  this.lastUsedAt               = new Date();
+  this.expiresAt                = new Date(Date.now() + refreshTokenTTL());
+  if (req.ip) this.ip = req.ip;
+  if (req.headers && req.headers['user-agent']) this.userAgent = req.headers['user-agent'];
+  await this.save();
+  return refreshToken;
+};
+
+sessionSchema.methods.revoke = async function (reason = 'logout') {
+  if (this.revokedAt) return this;
+  this.revokedAt     = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
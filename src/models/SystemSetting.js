@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+/**
+ * SystemSetting model — a single document holding platform-wide switches
+ * that superadmins can change at runtime without a redeploy.
+ *
+ * Always read through SystemSetting.getSettings(), which creates the
+ * document with defaults the first time it is needed.
+ */
+const systemSettingSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: 'global', unique: true },
+
+    /** When true, admin and superadmin accounts must enrol in TOTP 2FA */
+    requireAdminTwoFactor: { type: Boolean, default: false },
+
+    /** Max concurrent profiles per worker unless set on the user; null = unlimited */
+    defaultMaxConcurrentProfiles: { type: Number, default: null, min: 1 },
+
+    /** Profile health scoring and alerting (jobs/profileHealth.js) */
+    healthThresholds: {
+      /** Days without an entry before a profile counts as inactive */
+      inactiveDays:       { type: Number, default: 3, min: 1 },
+      /** Drop in average quality, last 7 days vs the 21 before, in percent */
+      qualityDropPercent: { type: Number, default: 15, min: 1, max: 100 },
+      /** Share of vetted entries (last 30 days) the admin had to correct, 0–1 */
+      correctionRate:     { type: Number, default: 0.3, min: 0, max: 1 },
+      /** Scores below these are "warning" / "at_risk"; at_risk triggers an alert */
+      warningScore:       { type: Number, default: 75, min: 0, max: 100 },
+      atRiskScore:        { type: Number, default: 50, min: 0, max: 100 },
+    },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+// ---------------------------------------------------------------------------
+// Static: load the settings document, creating it with defaults if missing
+// ---------------------------------------------------------------------------
+systemSettingSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+systemSettingSchema.plugin(auditTrail, { targetType: 'SystemSetting' });
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
@@ -2,6 +2,9 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const auditTrail = require('./plugins/auditTrail');
+const rollingStats = require('./plugins/rollingStats');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema(
   {
@@ -36,6 +39,15 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin', 'superadmin'],
       default: 'user',
     },
+    /**
+     * Permission role for admin accounts (see models/Role.js).
+     * null → the built-in "admin" role. Ignored for users and superadmins.
+     */
+    accessRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      default: null,
+    },
     /**
      * status mirrors isApproved but as a string for frontend badge display.
      * Values: 'pending' | 'approved' | 'revoked'
@@ -54,6 +66,18 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    /**
+     * Set once the user clicks the link sent on signup (or after an email change).
+     * Admins see this on the pending list before approving.
+     */
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
     profilePhoto: {
       type: String,
       default: null,
@@ -85,6 +109,15 @@ const userSchema = new mongoose.Schema(
       min: [0, 'Week start day must be 0–6'],
       max: [6, 'Week start day must be 0–6'],
     },
+    /**
+     * Max profiles this worker may hold at once (permanent slots plus
+     * overlapping temporary assignments). null = SystemSetting default.
+     */
+    maxConcurrentProfiles: {
+      type: Number,
+      default: null,
+      min: [1, 'Capacity must be at least 1'],
+    },
     assignedProfiles: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -99,6 +132,27 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled:       { type: Boolean, default: false },
+    twoFactorEnabledAt:     { type: Date, default: null },
+    twoFactorSecret:        { type: String, select: false },
+    /** Secret generated by /2fa/setup, promoted to twoFactorSecret once a code is verified */
+    twoFactorPendingSecret: { type: String, select: false },
+    /** SHA-256 hashes of unused one-time recovery codes */
+    twoFactorRecoveryCodes: { type: [String], select: false, default: undefined },
+    /** Time-step of the last accepted TOTP code — codes at or before it are replays */
+    twoFactorLastUsedStep:  { type: Number, select: false, default: null },
+    // Single sign-on identity (set on first OIDC login, see utils/oidc.js)
+    oidcIssuer:  { type: String, default: undefined },
+    oidcSubject: { type: String, default: undefined },
+    // Brute-force protection — see registerFailedLogin()
+    failedLoginAttempts: { type: Number, default: 0 },
+    /** Number of lockouts since the last successful login (drives progressive lock length) */
+    lockCount:           { type: Number, default: 0 },
+    lockUntil:           { type: Date, default: null },
+    // Email verification fields
+    emailVerificationToken:   String,
+    emailVerificationExpires: Date,
     // Password reset fields
     passwordResetToken:   String,
     passwordResetExpires: Date,
@@ -118,6 +172,11 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1, isApproved: 1 });
 userSchema.index({ passwordResetToken: 1, passwordResetExpires: 1 });
+userSchema.index({ emailVerificationToken: 1, emailVerificationExpires: 1 });
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
 
 // FIX: Sort performance indexes — prevent "Sort exceeded memory limit of
 //      33554432 bytes" on MongoDB Atlas M0 / free-tier clusters.
@@ -166,11 +225,25 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-userSchema.methods.generateAuthToken = function () {
+/**
+ * Short-lived access token bound to a Session document (`sid`).
+ * `protect` rejects the token as soon as that session is revoked.
+ */
+userSchema.methods.generateAuthToken = function (sessionId) {
+  return jwt.sign(
+    { id: this._id, email: this.email, role: this.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+  );
+};
+
+// Impersonation token: same shape as an access token plus `imp` (the
+// superadmin), expiring together with its impersonation session.
+userSchema.methods.generateImpersonationToken = function (session) {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, email: this.email, role: this.role, sid: session._id, imp: session.impersonator },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: Math.max(1, Math.floor((session.expiresAt.getTime() - Date.now()) / 1000)) }
   );
 };
 
@@ -189,6 +262,118 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken   = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+  return verificationToken;
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes.
+ * Stores only the hashes; returns the plain codes so they can be shown once.
+ */
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map((c) => crypto.createHash('sha256').update(c).digest('hex'));
+  return codes;
+};
+
+/**
+ * Consume a recovery code. Returns true (and removes it) if it was valid.
+ * Requires the document to be loaded with +twoFactorRecoveryCodes.
+ */
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashed = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const codes = this.twoFactorRecoveryCodes || [];
+  if (!codes.includes(hashed)) return false;
+  this.twoFactorRecoveryCodes = codes.filter((c) => c !== hashed);
+  return true;
+};
+
+/**
+ * Check a TOTP code and burn its time-step, so the same code cannot be used
+ * again within its drift window. The step is claimed atomically: of two
+ * concurrent requests carrying one code, only one succeeds.
+ * @param {string} code
+ * @param {string} [secret] - defaults to twoFactorSecret (load it with +twoFactorSecret)
+ */
+userSchema.methods.useTotpCode = async function (code, secret = this.twoFactorSecret) {
+  const step = totp.matchCode(code, secret);
+  if (step === null) return false;
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * True while the account is temporarily locked after too many failed logins.
+ */
+userSchema.virtual('isLocked').get(function () {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+/**
+ * Count a failed login. Every LOGIN_MAX_ATTEMPTS failures (default 5) locks
+ * the account; each further lock doubles in length, starting at
+ * LOGIN_LOCK_MINUTES (default 15) and capped at 24 hours.
+ * Returns true if this failure caused a lock.
+ *
+ * Updates the stored counters atomically (concurrent wrong guesses each
+ * count) and leaves this document's copy of them untouched.
+ */
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts lockCount');
+  if (!counted || counted.failedLoginAttempts < maxAttempts) return false;
+
+  // Only the request that wins this update locks — it resets the counter for the rest
+  const minutes = Math.min(baseMinutes * 2 ** (counted.lockCount || 0), 24 * 60);
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + minutes * 60 * 1000) },
+      $inc: { lockCount: 1 },
+    }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Clear failure counters (successful login or superadmin unlock).
+ * Does not save — callers save as part of their own update.
+ */
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = null;
+};
+
+/**
+ * Short-lived token proving the first step of a 2FA login (password or SSO)
+ * succeeded; method is carried through so the login is recorded as such.
+ * Only accepted by POST /api/auth/2fa/verify — `protect` rejects it (no session).
+ */
+userSchema.methods.generateTwoFactorChallengeToken = function (method = 'password') {
+  return jwt.sign(
+    { id: this._id, purpose: '2fa_login', method },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
 userSchema.virtual('displayName').get(function () {
   return this.name;
 });
@@ -198,8 +383,18 @@ userSchema.methods.toJSON = function () {
   delete user.password;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
   delete user.__v;
   return user;
 };
 
+userSchema.plugin(rollingStats);
+
+userSchema.plugin(auditTrail, { targetType: 'User', ignore: ['rollingStats'] });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
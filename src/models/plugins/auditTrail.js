@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const requestContext = require('../../utils/requestContext');
+
+/**
+ * auditTrail — Mongoose plugin that writes an AuditLog record for every
+ * create/update/delete made while an audit context is active (i.e. inside an
+ * admin or superadmin request, see middleware/audit.js).
+ *
+ * Usage:
+ *   schema.plugin(auditTrail, { targetType: 'Profile', ignore: ['entryCount'] });
+ *
+ * Options:
+ *   targetType — label stored on each record and used for the action prefix
+ *   ignore     — fields whose changes alone are not worth a record
+ *                (derived/cached values recomputed by hooks)
+ */
+
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+const SENSITIVE = /password|token|secret|recoverycodes|encrypted/i;
+
+const normalise = (value) => {
+  if (value === undefined || value === null) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+const redact = (field, value) =>
+  SENSITIVE.test(field) && value !== undefined && value !== null ? '[redacted]' : value;
+
+/**
+ * Recursively replace sensitive keys in a plain object (request bodies, filters).
+ */
+const redactObject = (obj) => {
+  if (!obj || typeof obj !== 'object') return obj;
+  if (Array.isArray(obj)) return obj.map(redactObject);
+  return Object.fromEntries(
+    Object.entries(obj).map(([k, v]) => [k, SENSITIVE.test(k) ? '[redacted]' : redactObject(v)])
+  );
+};
+
+/**
+ * Top-level field diff between two plain objects.
+ */
+const diff = (before = {}, after = {}, ignore = []) => {
+  const skip = new Set([...ALWAYS_IGNORED, ...ignore]);
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (skip.has(field)) return;
+    const b = normalise(before?.[field]);
+    const a = normalise(after?.[field]);
+    if (JSON.stringify(b) === JSON.stringify(a)) return;
+    changes.push({ field, before: redact(field, b), after: redact(field, a) });
+  });
+
+  return changes;
+};
+
+const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, transform: false });
+
+function auditTrail(schema, { targetType, ignore = [] }) {
+  const AuditLog = () => mongoose.model('AuditLog');
+  const action = (verb) => `${targetType.toLowerCase()}.${verb}`;
+
+  // ── Document saves ──────────────────────────────────────────────────────────
+
+  // Snapshot loaded documents so saves can be diffed against the original
+  schema.post('init', function () {
+    if (requestContext.get()) this.$locals.auditOriginal = toPlain(this);
+  });
+
+  schema.pre('save', function (next) {
+    if (requestContext.get()) this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function (doc) {
+    if (!requestContext.get()) return;
+
+    const wasNew  = doc.$locals.auditWasNew;
+    const after   = toPlain(doc);
+    const changes = diff(wasNew ? {} : doc.$locals.auditOriginal, after, ignore);
+    doc.$locals.auditOriginal = after;
+
+    if (!wasNew && changes.length === 0) return;
+    await AuditLog().record({ action: action(wasNew ? 'create' : 'update'), targetType, targetId: doc._id, changes });
+  });
+
+  // ── Single-document query updates / deletes ─────────────────────────────────
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne'], async function () {
+    if (!requestContext.get()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne'], async function () {
+    if (!requestContext.get()) return;
+
+    const before = this._auditBefore;
+    const after  = before
+      ? await this.model.findById(before._id).lean()
+      : await this.model.findOne(this.getFilter()).lean(); // upsert
+    if (!after) return;
+
+    const changes = diff(before || {}, after, ignore);
+    if (before && changes.length === 0) return;
+    await AuditLog().record({ action: action(before ? 'update' : 'create'), targetType, targetId: after._id, changes });
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne'], async function () {
+    const before = this._auditBefore;
+    if (!requestContext.get() || !before) return;
+    await AuditLog().record({ action: action('delete'), targetType, targetId: before._id, changes: diff(before, {}, ignore) });
+  });
+
+  // ── Bulk operations — no per-document diff, record filter and counts ────────
+
+  schema.post(['updateMany', 'deleteMany'], async function (result) {
+    if (!requestContext.get()) return;
+    const isDelete = this.op === 'deleteMany';
+    const affected = isDelete ? result?.deletedCount : result?.modifiedCount;
+    if (!affected) return;
+
+    await AuditLog().record({
+      action: action(isDelete ? 'bulk_delete' : 'bulk_update'),
+      targetType,
+      meta: {
+        filter: redactObject(normalise(this.getFilter())),
+        update: isDelete ? undefined : redactObject(normalise(this.getUpdate())),
+        affected,
+      },
+    });
+  });
+}
+
+module.exports = auditTrail;
+module.exports.diff = diff;
+module.exports.redactObject = redactObject;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * rollingStats — Mongoose plugin adding precomputed 7/30/90-day performance
+ * windows to a schema (Profile and User). Values are written by
+ * DailyStat.refreshRolling() from the daily buckets; never set them directly.
+ *
+ * Each window: totalHours, entryCount, avgTime, avgQuality, overallPerformance
+ * (60% quality + 40% time, as everywhere else), over approved entries only.
+ */
+const windowSchema = new mongoose.Schema(
+  {
+    totalHours:         { type: Number, default: 0 },
+    totalQuality:       { type: Number, default: 0 },
+    entryCount:         { type: Number, default: 0 },
+    avgTime:            { type: Number, default: 0 },
+    avgQuality:         { type: Number, default: 0 },
+    overallPerformance: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+function rollingStats(schema) {
+  schema.add({
+    rollingStats: {
+      d7:         { type: windowSchema, default: () => ({}) },
+      d30:        { type: windowSchema, default: () => ({}) },
+      d90:        { type: windowSchema, default: () => ({}) },
+      computedAt: { type: Date, default: null },
+    },
+  });
+}
+
+module.exports = rollingStats;
@@ -7,14 +7,25 @@ const {
   getPendingUsers,
   getAllUsers,
   getUserById,
+  getUserLoginHistory,
   createProfile,
   updateProfile,
   getProfiles,
+  getAtRiskProfiles,
   getProfileById,
+  rotateProfileCredentials,
+  archiveProfile,
+  restoreProfile,
   getRankedProfiles,
+  getClientStats,
   vetEntry,
+  bulkVetEntries,
+  rejectEntry,
+  requestEntryChanges,
   getEntries,
   reassignWorker,
+  previewReassignment,
+  setWorkerCapacity,
   removeTemporaryAssignment,
   getWorkerStats,
   getUserStats,
@@ -31,69 +42,169 @@ const {
   updateWeeklyPayment,
 } = require('../controllers/paymentController');
 
-const { protect, authorize } = require('../middleware/auth');
+const {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+} = require('../controllers/invitationController');
+
+const { getProfileAssignments, getUserAssignments } = require('../controllers/assignmentController');
+
+const {
+  getClients,
+  getClientById,
+  createClient,
+  updateClient,
+  deleteClient,
+} = require('../controllers/clientController');
+
+const {
+  getProfileNotes,
+  createProfileNote,
+  updateProfileNote,
+  deleteProfileNote,
+} = require('../controllers/profileNoteController');
+
+const {
+  getDisputes,
+  getDisputeById,
+  addAdminDisputeMessage,
+  resolveDispute,
+} = require('../controllers/disputeController');
+
+const {
+  getEntryHistory,
+  getEntryAttachments,
+  downloadEntryAttachment,
+  deleteEntryAttachment,
+} = require('../controllers/entryController');
+
+const {
+  getCoverageRequests,
+  approveCoverageRequest,
+  rejectCoverageRequest,
+} = require('../controllers/coverageController');
+
+const { protect, authorize, requirePermission, requireTwoFactor } = require('../middleware/auth');
+const { auditContext } = require('../middleware/audit');
 const {
   createProfileValidation,
   updateProfileValidation,
+  profileCredentialsValidation,
+  archiveProfileValidation,
+  profileListQuery,
+  profileFilterQuery,
+  atRiskQuery,
+  clientValidation,
+  clientListQuery,
+  assignmentHistoryQuery,
+  profileNoteValidation,
+  updateProfileNoteValidation,
+  profileNoteListQuery,
   vetEntryValidation,
+  bulkVetValidation,
+  entryReviewValidation,
+  entryListQuery,
+  disputeMessageValidation,
+  resolveDisputeValidation,
+  disputeListQuery,
   reassignWorkerValidation,
+  workerCapacityValidation,
+  coverageListQuery,
+  coverageReviewValidation,
+  createInvitationValidation,
   mongoIdParam,
   paginationQuery,
   dateRangeQuery,
+  statsWindowQuery,
 } = require('../middleware/validate');
 
-// All routes require admin or superadmin
+// All routes require admin or superadmin; each route then checks a named permission
 router.use(protect);
 router.use(authorize('admin', 'superadmin'));
+router.use(requireTwoFactor);
+router.use(auditContext);
 
 // ── User Management ───────────────────────────────────────────────────────────
 
-router.get('/pending-users',              getPendingUsers);
-router.put('/approve/:id',  mongoIdParam('id'), approveUser);
-router.put('/reject/:id',   mongoIdParam('id'), approveUser);
+router.get('/pending-users',              requirePermission('users.approve'), getPendingUsers);
+router.put('/approve/:id',  requirePermission('users.approve'), mongoIdParam('id'), approveUser);
+router.put('/reject/:id',   requirePermission('users.approve'), mongoIdParam('id'), approveUser);
 
-router.get('/users',                      getAllUsers);
-router.get('/users/:id',    mongoIdParam('id'), getUserById);
-router.get('/users/:id/stats',    mongoIdParam('id'), getUserStats);
-router.get('/users/:id/earnings', mongoIdParam('id'), getUserEarnings);
+router.get('/users',                      requirePermission('users.view'), getAllUsers);
+router.get('/users/:id',    requirePermission('users.view'), mongoIdParam('id'), getUserById);
+router.get('/users/:id/stats',    requirePermission('users.view'), mongoIdParam('id'), getUserStats);
+router.get('/users/:id/earnings', requirePermission('users.view'), mongoIdParam('id'), getUserEarnings);
+router.get('/users/:id/assignments', requirePermission('users.view'), mongoIdParam('id'), paginationQuery, assignmentHistoryQuery, getUserAssignments);
+router.get('/users/:id/login-history', requirePermission('users.viewLoginHistory'), mongoIdParam('id'), paginationQuery, getUserLoginHistory);
 
 // Payment history for a specific user (used on user-details page)
-router.get('/users/:id/weekly-payments', mongoIdParam('id'), getUserWeeklyPayments);
+router.get('/users/:id/weekly-payments', requirePermission('payments.view'), mongoIdParam('id'), getUserWeeklyPayments);
 
 // Pay the pending bonus for a user
 //   → merges bonus into latest unpaid week, or current week if all paid
-router.post('/users/:userId/mark-bonus-paid', markBonusPaid);
+router.post('/users/:userId/mark-bonus-paid', requirePermission('payments.markPaid'), markBonusPaid);
+
+// ── Invitations ───────────────────────────────────────────────────────────────
+
+router.post('/invitations',                requirePermission('users.invite'), createInvitationValidation, createInvitation);
+router.get('/invitations',                 requirePermission('users.invite'), paginationQuery,            getInvitations);
+router.post('/invitations/:id/resend',     requirePermission('users.invite'), mongoIdParam('id'),         resendInvitation);
+router.delete('/invitations/:id',          requirePermission('users.invite'), mongoIdParam('id'),         revokeInvitation);
 
 // ── Profile Management ────────────────────────────────────────────────────────
 
-router.post('/profile',        createProfileValidation,  createProfile);
-router.get('/profiles',        paginationQuery,           getProfiles);
-router.get('/profile/:id',     mongoIdParam('id'),        getProfileById);
-router.put('/profile/:id',     mongoIdParam('id'), updateProfileValidation, updateProfile);
+router.post('/profile',        requirePermission('profiles.create'), createProfileValidation,  createProfile);
+router.get('/profiles',        requirePermission('profiles.view'),   paginationQuery, profileListQuery, getProfiles);
+router.get('/profiles/at-risk', requirePermission('profiles.view'),  paginationQuery, atRiskQuery,      getAtRiskProfiles);
+router.get('/profile/:id',     requirePermission('profiles.view'),   mongoIdParam('id'),        getProfileById);
+router.put('/profile/:id',     requirePermission('profiles.update'), mongoIdParam('id'), updateProfileValidation, updateProfile);
+router.get('/profile/:id/assignments', requirePermission('profiles.view'), mongoIdParam('id'), paginationQuery, assignmentHistoryQuery, getProfileAssignments);
+router.put('/profile/:id/credentials', requirePermission('profiles.credentials'), mongoIdParam('id'), profileCredentialsValidation, rotateProfileCredentials);
 
-// Delete profile + its entries
-router.delete('/profile/:id',  mongoIdParam('id'), async (req, res, next) => {
-  try {
-    const Profile = require('../models/Profile');
-    const Entry   = require('../models/Entry');
-    const profile = await Profile.findById(req.params.id);
-    if (!profile) return res.status(404).json({ success: false, message: 'Profile not found' });
-    await Entry.deleteMany({ profile: req.params.id });
-    await Profile.findByIdAndDelete(req.params.id);
-    res.json({ success: true, message: 'Profile and associated entries deleted' });
-  } catch (err) { next(err); }
-});
+// Internal notes — rewording/deleting a note is limited to its author (checked in the controller)
+router.get('/profile/:id/notes',            requirePermission('profiles.view'),   mongoIdParam('id'), profileNoteListQuery, getProfileNotes);
+router.post('/profile/:id/notes',           requirePermission('profiles.update'), mongoIdParam('id'), profileNoteValidation, createProfileNote);
+router.put('/profile/:id/notes/:noteId',    requirePermission('profiles.update'), mongoIdParam('id'), mongoIdParam('noteId'), updateProfileNoteValidation, updateProfileNote);
+router.delete('/profile/:id/notes/:noteId', requirePermission('profiles.update'), mongoIdParam('id'), mongoIdParam('noteId'), deleteProfileNote);
+
+// Archive (soft delete) — entries are kept for payment history; superadmins can purge
+router.delete('/profile/:id',         requirePermission('profiles.delete'), mongoIdParam('id'), archiveProfileValidation, archiveProfile);
+router.put('/profile/:id/restore',    requirePermission('profiles.delete'), mongoIdParam('id'), restoreProfile);
 
 // ── Rankings ──────────────────────────────────────────────────────────────────
 
-router.get('/ranked-profiles', dateRangeQuery, getRankedProfiles);
+router.get('/ranked-profiles', requirePermission('stats.view'), dateRangeQuery, statsWindowQuery, profileFilterQuery, getRankedProfiles);
 
-// ── Entry Management ──────────────────────────────────────────────────────────
+// ── Clients ───────────────────────────────────────────────────────────────────
+
+router.get('/clients/stats',   requirePermission('stats.view'),      dateRangeQuery, profileFilterQuery, getClientStats);
+router.get('/clients',         requirePermission('profiles.view'),   clientListQuery,    getClients);
+router.post('/clients',        requirePermission('profiles.update'), clientValidation,   createClient);
+router.get('/clients/:id',     requirePermission('profiles.view'),   mongoIdParam('id'), getClientById);
+router.put('/clients/:id',     requirePermission('profiles.update'), mongoIdParam('id'), clientValidation, updateClient);
+router.delete('/clients/:id',  requirePermission('profiles.update'), mongoIdParam('id'), deleteClient);
 
-router.get('/entries',      paginationQuery, dateRangeQuery, getEntries);
-router.post('/vet-entry',   vetEntryValidation, vetEntry);
+// ── Entry Management ──────────────────────────────────────────────────────────
 
-router.delete('/entries/:id', mongoIdParam('id'), async (req, res, next) => {
+router.get('/entries',      requirePermission('entries.view'), paginationQuery, dateRangeQuery, entryListQuery, getEntries);
+router.get('/entries/:id/history', requirePermission('entries.view'), mongoIdParam('id'), getEntryHistory);
+router.get('/entries/:id/attachments', requirePermission('entries.view'), mongoIdParam('id'), getEntryAttachments);
+router.get('/entries/:id/attachments/:attachmentId',    requirePermission('entries.view'), mongoIdParam('id'), mongoIdParam('attachmentId'), downloadEntryAttachment);
+router.delete('/entries/:id/attachments/:attachmentId', requirePermission('entries.vet'),  mongoIdParam('id'), mongoIdParam('attachmentId'), deleteEntryAttachment);
+router.post('/vet-entry',   requirePermission('entries.vet'),  vetEntryValidation, vetEntry);
+router.post('/vet-entries/bulk', requirePermission('entries.vet'), bulkVetValidation, bulkVetEntries);
+router.put('/entries/:id/reject',          requirePermission('entries.vet'), mongoIdParam('id'), entryReviewValidation, rejectEntry);
+router.put('/entries/:id/request-changes', requirePermission('entries.vet'), mongoIdParam('id'), entryReviewValidation, requestEntryChanges);
+
+// Worker disputes of vetted values
+router.get('/disputes',               requirePermission('entries.vet'), paginationQuery, disputeListQuery, getDisputes);
+router.get('/disputes/:id',           requirePermission('entries.vet'), mongoIdParam('id'), getDisputeById);
+router.post('/disputes/:id/messages', requirePermission('entries.vet'), mongoIdParam('id'), disputeMessageValidation, addAdminDisputeMessage);
+router.put('/disputes/:id/resolve',   requirePermission('entries.vet'), mongoIdParam('id'), resolveDisputeValidation, resolveDispute);
+
+router.delete('/entries/:id', requirePermission('entries.delete'), mongoIdParam('id'), async (req, res, next) => {
   try {
     const Entry = require('../models/Entry');
     const entry = await Entry.findById(req.params.id);
@@ -105,21 +216,29 @@ router.delete('/entries/:id', mongoIdParam('id'), async (req, res, next) => {
 
 // ── Worker Reassignment ───────────────────────────────────────────────────────
 
-router.put('/reassign',    reassignWorkerValidation, reassignWorker);
-router.delete('/reassign/:profileId/:assignmentId', removeTemporaryAssignment);
+router.put('/reassign',    requirePermission('profiles.assign'), reassignWorkerValidation, reassignWorker);
+router.post('/reassign/preview', requirePermission('profiles.assign'), reassignWorkerValidation, previewReassignment);
+router.put('/users/:id/capacity', requirePermission('profiles.assign'), mongoIdParam('id'), workerCapacityValidation, setWorkerCapacity);
+router.delete('/reassign/:profileId/:assignmentId', requirePermission('profiles.assign'), removeTemporaryAssignment);
+
+// ── Coverage Requests ─────────────────────────────────────────────────────────
+
+router.get('/coverage-requests',             requirePermission('profiles.assign'), paginationQuery, coverageListQuery, getCoverageRequests);
+router.put('/coverage-requests/:id/approve', requirePermission('profiles.assign'), mongoIdParam('id'), coverageReviewValidation, approveCoverageRequest);
+router.put('/coverage-requests/:id/reject',  requirePermission('profiles.assign'), mongoIdParam('id'), coverageReviewValidation, rejectCoverageRequest);
 
 // ── Payment Management ────────────────────────────────────────────────────────
 
-router.get('/weekly-payments',                          paginationQuery, getWeeklyPayments);
-router.post('/mark-week-paid',                          markWeekAsPaid);
-router.put('/weekly-payments/:paymentId/approve',       approvePayment);
-router.put('/weekly-payments/:paymentId/deny',          denyPayment);
-router.put('/weekly-payments/:paymentId',               updateWeeklyPayment);
+router.get('/weekly-payments',                    requirePermission('payments.view'),     paginationQuery, getWeeklyPayments);
+router.post('/mark-week-paid',                    requirePermission('payments.markPaid'), markWeekAsPaid);
+router.put('/weekly-payments/:paymentId/approve', requirePermission('payments.approve'),  approvePayment);
+router.put('/weekly-payments/:paymentId/deny',    requirePermission('payments.approve'),  denyPayment);
+router.put('/weekly-payments/:paymentId',         requirePermission('payments.edit'),     updateWeeklyPayment);
 
 // ── Statistics ────────────────────────────────────────────────────────────────
 
-router.get('/worker-stats', dateRangeQuery, getWorkerStats);
+router.get('/worker-stats', requirePermission('stats.view'), dateRangeQuery, statsWindowQuery, getWorkerStats);
 
-router.get('/top-earners', getTopEarners);
+router.get('/top-earners', requirePermission('stats.view'), getTopEarners);
 
 module.exports = router;
\ No newline at end of file
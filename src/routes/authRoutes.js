@@ -3,36 +3,90 @@ const router = express.Router();
 const {
   signup,
   login,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getMe,
   updatePassword,
   updateProfile,
   forgotPassword,
   resetPassword,
   verifyResetToken,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  getOidcConfig,
+  oidcLogin,
+  oidcCallback,
+  oidcExchange,
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { getInvitationByToken, acceptInvitation } = require('../controllers/invitationController');
+const { protect, readOnlyWhenImpersonating, rejectApiKey } = require('../middleware/auth');
 const {
   signupValidation,
   loginValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  verifyEmailValidation,
+  oidcCallbackQuery,
+  oidcExchangeValidation,
+  invitationTokenParam,
+  acceptInvitationValidation,
   updatePasswordValidation,
+  refreshTokenValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  mongoIdParam,
 } = require('../middleware/validate');
 
+// API keys are for the admin/payment APIs only
+router.use(rejectApiKey);
+
 // Public routes
 router.post('/signup', signupValidation, signup);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refreshTokenValidation, refreshToken);
+router.post('/2fa/verify', twoFactorLoginValidation, verifyTwoFactorLogin);
+
+// Single sign-on (public) — see utils/oidc.js for configuration
+router.get('/oidc/config', getOidcConfig);
+router.get('/oidc/login', oidcLogin);
+router.get('/oidc/callback', oidcCallbackQuery, oidcCallback);
+router.post('/oidc/exchange', oidcExchangeValidation, oidcExchange);
 
 // Password reset routes (public)
 router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
 router.put('/reset-password/:token', resetPasswordValidation, resetPassword);
 router.get('/verify-reset-token/:token', verifyResetToken);
 
+// Email verification routes (public)
+router.get('/verify-email/:token', verifyEmailValidation, verifyEmail);
+router.post('/resend-verification', forgotPasswordValidation, resendVerification);
+
+// Invitation acceptance (public)
+router.get('/invitations/:token', invitationTokenParam, getInvitationByToken);
+router.post('/invitations/:token/accept', acceptInvitationValidation, acceptInvitation);
+
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/password', protect, updatePasswordValidation, updatePassword);
-router.put('/profile', protect, updateProfile);
+router.put('/password', protect, readOnlyWhenImpersonating, updatePasswordValidation, updatePassword);
+router.put('/profile', protect, readOnlyWhenImpersonating, updateProfile);
 router.post('/logout', protect, logout);
 
+// Two-factor authentication
+router.post('/2fa/setup', protect, readOnlyWhenImpersonating, setupTwoFactor);
+router.post('/2fa/enable', protect, readOnlyWhenImpersonating, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', protect, readOnlyWhenImpersonating, disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, readOnlyWhenImpersonating, twoFactorCodeValidation, regenerateRecoveryCodes);
+
+// Session management
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, readOnlyWhenImpersonating, mongoIdParam('id'), revokeSession);
+
 module.exports = router;
\ No newline at end of file
@@ -7,25 +7,29 @@ const {
   updateWeeklyPayment,
   generateWeeklyPayments,
 } = require('../controllers/paymentController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireTwoFactor, readOnlyWhenImpersonating } = require('../middleware/auth');
+const { auditContext } = require('../middleware/audit');
 
 // Apply auth middleware
 router.use(protect);
 router.use(authorize('admin', 'superadmin'));
+router.use(requireTwoFactor);
+router.use(readOnlyWhenImpersonating);
+router.use(auditContext);
 
 // Get all weekly payments with filters
-router.get('/weekly-payments', getWeeklyPayments);
+router.get('/weekly-payments', requirePermission('payments.view'), getWeeklyPayments);
 
 // Get specific user's weekly payments
-router.get('/users/:userId/weekly-payments', getUserWeeklyPayments);
+router.get('/users/:userId/weekly-payments', requirePermission('payments.view'), getUserWeeklyPayments);
 
 // Mark a week as paid
-router.post('/mark-week-paid', markWeekAsPaid);
+router.post('/mark-week-paid', requirePermission('payments.markPaid'), markWeekAsPaid);
 
 // Update weekly payment details
-router.put('/weekly-payments/:paymentId', updateWeeklyPayment);
+router.put('/weekly-payments/:paymentId', requirePermission('payments.edit'), updateWeeklyPayment);
 
 // Generate weekly payments for all users (utility route)
-router.post('/generate-weekly-payments', generateWeeklyPayments);
+router.post('/generate-weekly-payments', requirePermission('payments.generate'), generateWeeklyPayments);
 
 module.exports = router;
\ No newline at end of file
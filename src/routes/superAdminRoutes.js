@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireTwoFactor } = require('../middleware/auth');
+const { auditContext } = require('../middleware/audit');
 
 const {
   promoteToAdmin,
   demoteToUser,
   revokeAccess,
   restoreAccess,
+  unlockUser,
+  impersonateUser,
   deleteUser,
   approveAllPending,
+  purgeProfile,
   createBenchmark,
   getAllBenchmarks,
   getCurrentBenchmark,
@@ -17,6 +21,10 @@ const {
   addExtraBonus,
   resetExtraBonus,
   getSystemStats,
+  getSettings,
+  updateSettings,
+  getJobs,
+  runJobNow,
 } = require('../controllers/superAdminController');
 
 // Reuse admin controller's user detail + stats handlers
@@ -37,54 +45,127 @@ const {
   updateWeeklyPayment,
 } = require('../controllers/paymentController');
 
-const { benchmarkValidation, mongoIdParam } = require('../middleware/validate');
+const { getAuditLog, exportAuditLog } = require('../controllers/auditLogController');
 
-// All superadmin routes require authentication + superadmin role
+const {
+  getPermissionCatalog,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  setUserAccessRole,
+} = require('../controllers/roleController');
+
+const {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+
+const {
+  benchmarkValidation,
+  updateSettingsValidation,
+  auditLogQuery,
+  roleValidation,
+  setAccessRoleValidation,
+  impersonateValidation,
+  apiKeyValidation,
+  apiKeyStatusQuery,
+  mongoIdParam,
+  paginationQuery,
+  dateRangeQuery,
+} = require('../middleware/validate');
+
+// All routes require authentication + a staff role. Superadmins hold every
+// permission; admins may be granted individual ones through their Role.
 router.use(protect);
-router.use(authorize('superadmin'));
+router.use(authorize('admin', 'superadmin'));
+router.use(requireTwoFactor);
+router.use(auditContext);
 
 // ── User Management ───────────────────────────────────────────────────────────
 
-router.put('/promote/:id',    promoteToAdmin);
-router.put('/demote/:id',     demoteToUser);
-router.put('/revoke/:id',     revokeAccess);
-router.put('/restore/:id',    restoreAccess);
-router.delete('/delete/:id',  deleteUser);
-router.put('/approve-all',    approveAllPending);
+router.put('/promote/:id',    requirePermission('users.promote'),      promoteToAdmin);
+router.put('/demote/:id',     requirePermission('users.promote'),      demoteToUser);
+router.put('/revoke/:id',     requirePermission('users.manageAccess'), revokeAccess);
+router.put('/restore/:id',    requirePermission('users.manageAccess'), restoreAccess);
+router.put('/unlock/:id',     requirePermission('users.unlock'),       mongoIdParam('id'), unlockUser);
+router.delete('/delete/:id',  requirePermission('users.manageAccess'), deleteUser);
+
+// Permanently delete an archived profile (see adminRoutes for archive/restore)
+router.delete('/profile/:id/purge', requirePermission('profiles.purge'), mongoIdParam('id'), purgeProfile);
+
+// Support: act as a worker with a short-lived, audited token
+router.post('/impersonate/:id', requirePermission('users.impersonate'), mongoIdParam('id'), impersonateValidation, impersonateUser);
+router.put('/approve-all',    requirePermission('users.manageAccess'), approveAllPending);
 
 // Full user detail endpoints (return phone, bankDetails, extraBonus, etc.)
-router.get('/users',                              getAllUsers);
-router.get('/users/:id',        mongoIdParam('id'), getUserById);
-router.get('/users/:id/stats',  mongoIdParam('id'), getUserStats);
-router.get('/users/:id/earnings', mongoIdParam('id'), getUserEarnings);
-router.get('/users/:id/weekly-payments', mongoIdParam('id'), getUserWeeklyPayments);
+router.get('/users',                    requirePermission('users.view'),    getAllUsers);
+router.get('/users/:id',                requirePermission('users.view'),    mongoIdParam('id'), getUserById);
+router.get('/users/:id/stats',          requirePermission('users.view'),    mongoIdParam('id'), getUserStats);
+router.get('/users/:id/earnings',       requirePermission('users.view'),    mongoIdParam('id'), getUserEarnings);
+router.get('/users/:id/weekly-payments', requirePermission('payments.view'), mongoIdParam('id'), getUserWeeklyPayments);
 
 // Pay the pending bonus for a user (same logic as admin endpoint)
-router.post('/users/:userId/mark-bonus-paid', markBonusPaid);
+router.post('/users/:userId/mark-bonus-paid', requirePermission('payments.markPaid'), markBonusPaid);
 
 // ── Benchmark Management ──────────────────────────────────────────────────────
 
-router.get('/benchmarks',             getAllBenchmarks);
-router.get('/benchmark/current',      getCurrentBenchmark);
-router.post('/benchmark',             benchmarkValidation, createBenchmark);
-router.put('/benchmark/:id',          updateBenchmark);
-router.delete('/benchmark/:id',       deleteBenchmark);
+router.get('/benchmarks',             requirePermission('benchmarks.manage'), getAllBenchmarks);
+router.get('/benchmark/current',      requirePermission('benchmarks.manage'), getCurrentBenchmark);
+router.post('/benchmark',             requirePermission('benchmarks.manage'), benchmarkValidation, createBenchmark);
+router.put('/benchmark/:id',          requirePermission('benchmarks.manage'), updateBenchmark);
+router.delete('/benchmark/:id',       requirePermission('benchmarks.manage'), deleteBenchmark);
 
 // ── Bonus Management ──────────────────────────────────────────────────────────
 
-router.put('/bonus/:id',              addExtraBonus);
-router.put('/bonus/:id/reset',        resetExtraBonus);
+router.put('/bonus/:id',              requirePermission('bonuses.manage'), addExtraBonus);
+router.put('/bonus/:id/reset',        requirePermission('bonuses.manage'), resetExtraBonus);
 
 // ── Payment Management ────────────────────────────────────────────────────────
 
-router.get('/payments',                                  getWeeklyPayments);
-router.post('/mark-week-paid',                           markWeekAsPaid);
-router.put('/payments/:paymentId/approve',               approvePayment);
-router.put('/payments/:paymentId/deny',                  denyPayment);
-router.put('/payments/:paymentId',                       updateWeeklyPayment);
+router.get('/payments',                       requirePermission('payments.view'),     getWeeklyPayments);
+router.post('/mark-week-paid',                requirePermission('payments.markPaid'), markWeekAsPaid);
+router.put('/payments/:paymentId/approve',    requirePermission('payments.approve'),  approvePayment);
+router.put('/payments/:paymentId/deny',       requirePermission('payments.approve'),  denyPayment);
+router.put('/payments/:paymentId',            requirePermission('payments.edit'),     updateWeeklyPayment);
 
 // ── System Stats ──────────────────────────────────────────────────────────────
 
-router.get('/stats',                  getSystemStats);
+router.get('/stats',                  requirePermission('stats.view'), getSystemStats);
+
+// ── Audit Log ─────────────────────────────────────────────────────────────────
+
+router.get('/audit-log',              requirePermission('auditLog.view'), paginationQuery, dateRangeQuery, auditLogQuery, getAuditLog);
+router.get('/audit-log/export',       requirePermission('auditLog.view'), dateRangeQuery, auditLogQuery, exportAuditLog);
+
+// ── Roles & Permissions ───────────────────────────────────────────────────────
+
+router.get('/permissions',            requirePermission('roles.manage'), getPermissionCatalog);
+router.get('/roles',                  requirePermission('roles.manage'), getRoles);
+router.post('/roles',                 requirePermission('roles.manage'), roleValidation, createRole);
+router.put('/roles/:id',              requirePermission('roles.manage'), mongoIdParam('id'), roleValidation, updateRole);
+router.delete('/roles/:id',           requirePermission('roles.manage'), mongoIdParam('id'), deleteRole);
+router.put('/users/:id/access-role',  requirePermission('roles.manage'), mongoIdParam('id'), setAccessRoleValidation, setUserAccessRole);
+
+// ── API Keys ──────────────────────────────────────────────────────────────────
+
+router.post('/api-keys',              requirePermission('apiKeys.manage'), apiKeyValidation, createApiKey);
+router.get('/api-keys',               requirePermission('apiKeys.manage'), apiKeyStatusQuery, getApiKeys);
+router.get('/api-keys/:id',           requirePermission('apiKeys.manage'), mongoIdParam('id'), getApiKey);
+router.put('/api-keys/:id',           requirePermission('apiKeys.manage'), mongoIdParam('id'), apiKeyValidation, updateApiKey);
+router.delete('/api-keys/:id',        requirePermission('apiKeys.manage'), mongoIdParam('id'), revokeApiKey);
+
+// ── System Settings ───────────────────────────────────────────────────────────
+
+router.get('/settings',               requirePermission('settings.manage'), getSettings);
+router.put('/settings',               requirePermission('settings.manage'), updateSettingsValidation, updateSettings);
+
+// ── Background Jobs ───────────────────────────────────────────────────────────
+
+router.get('/jobs',                   requirePermission('settings.manage'), getJobs);
+router.post('/jobs/:name/run',        requirePermission('settings.manage'), runJobNow);
 
 module.exports = router;
\ No newline at end of file
@@ -8,8 +8,10 @@ const {
   updateProfilePhoto,
   deleteProfilePhoto,
   getAssignedProfiles,
+  getProfileCredentials,
   createEntry,
   updateEntry,
+  resubmitEntry,
   getEntries,
   getDashboard,
   getWeeklySummary,
@@ -17,24 +19,53 @@ const {
   getTopEarners,
 } = require('../controllers/userController');
 
-const { protect } = require('../middleware/auth');
+const {
+  createCoverageRequest,
+  getMyCoverageRequests,
+  acceptCoverageRequest,
+  cancelCoverageRequest,
+} = require('../controllers/coverageController');
+
+const {
+  openEntryDispute,
+  getMyDisputes,
+  addWorkerDisputeMessage,
+} = require('../controllers/disputeController');
+
+const {
+  getMyEntryHistory,
+  uploadEntryAttachments,
+  getMyEntryAttachments,
+  downloadMyEntryAttachment,
+  deleteMyEntryAttachment,
+} = require('../controllers/entryController');
+
+const { protect, readOnlyWhenImpersonating, rejectApiKey } = require('../middleware/auth');
+const { uploadAttachments, verifyAttachments, handleMulterError } = require('../middleware/upload');
 const {
   updateBankDetailsValidation,
   createEntryValidation,
   updateEntryValidation,
+  entryListQuery,
+  openDisputeValidation,
+  disputeMessageValidation,
+  disputeListQuery,
+  createCoverageRequestValidation,
+  coverageListQuery,
   mongoIdParam,
   paginationQuery,
   dateRangeQuery,
 } = require('../middleware/validate');
 
-// All user routes require authentication
+// All user routes require authentication (as a person, not an API key)
+router.use(rejectApiKey);
 router.use(protect);
 
 // ─── Profile ─────────────────────────────────────────────────────────────────
 
 router.get('/profile', getProfile);
 router.put('/profile', updateProfile);
-router.put('/bank', updateBankDetailsValidation, updateBankDetails);
+router.put('/bank', readOnlyWhenImpersonating, updateBankDetailsValidation, updateBankDetails);
 
 // Profile photo — no multer, accepts base64 JSON body
 router.put('/profile-photo', updateProfilePhoto);
@@ -43,12 +74,34 @@ router.delete('/profile-photo', deleteProfilePhoto);
 // ─── Profiles (assigned client accounts) ─────────────────────────────────────
 
 router.get('/profiles', getAssignedProfiles);
+router.get('/profiles/:id/credentials', mongoIdParam('id'), getProfileCredentials);
+
+// ─── Coverage requests ───────────────────────────────────────────────────────
+
+router.post('/coverage-requests', createCoverageRequestValidation, createCoverageRequest);
+router.get('/coverage-requests', coverageListQuery, getMyCoverageRequests);
+router.post('/coverage-requests/:id/accept', mongoIdParam('id'), acceptCoverageRequest);
+router.post('/coverage-requests/:id/cancel', mongoIdParam('id'), cancelCoverageRequest);
 
 // ─── Entries ─────────────────────────────────────────────────────────────────
 
 router.post('/entry', createEntryValidation, createEntry);
 router.put('/entry/:id', mongoIdParam('id'), updateEntryValidation, updateEntry);
-router.get('/entries', paginationQuery, dateRangeQuery, getEntries);
+router.post('/entry/:id/resubmit', mongoIdParam('id'), updateEntryValidation, resubmitEntry);
+router.get('/entry/:id/history', mongoIdParam('id'), getMyEntryHistory);
+router.get('/entries', paginationQuery, dateRangeQuery, entryListQuery, getEntries);
+
+// Evidence attachments (multipart, field "files")
+router.post('/entry/:id/attachments', mongoIdParam('id'), uploadAttachments, handleMulterError, verifyAttachments, uploadEntryAttachments);
+router.get('/entry/:id/attachments', mongoIdParam('id'), getMyEntryAttachments);
+router.get('/entry/:id/attachments/:attachmentId', mongoIdParam('id'), mongoIdParam('attachmentId'), downloadMyEntryAttachment);
+router.delete('/entry/:id/attachments/:attachmentId', mongoIdParam('id'), mongoIdParam('attachmentId'), deleteMyEntryAttachment);
+
+// ─── Entry disputes ──────────────────────────────────────────────────────────
+
+router.put('/entry/:id/dispute', mongoIdParam('id'), openDisputeValidation, openEntryDispute);
+router.get('/disputes', disputeListQuery, getMyDisputes);
+router.post('/disputes/:id/messages', mongoIdParam('id'), disputeMessageValidation, addWorkerDisputeMessage);
 
 // ─── Dashboard & payments ────────────────────────────────────────────────────
 
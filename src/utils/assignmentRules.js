@@ -0,0 +1,139 @@
+const Profile = require('../models/Profile');
+const Entry = require('../models/Entry');
+const AssignmentHistory = require('../models/AssignmentHistory');
+const SystemSetting = require('../models/SystemSetting');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Rules every assignment change goes through — worker capacity limits and
+ * conflicts with what a profile already has. Used by admin reassignment
+ * (and its preview) and by approved coverage requests.
+ */
+
+
+/**
+ * Max concurrent profiles for a worker: their own limit, else the platform
+ * default from SystemSetting. null = unlimited.
+ */
+const getCapacityLimit = async (worker) => {
+  if (worker.maxConcurrentProfiles != null) return worker.maxConcurrentProfiles;
+  const settings = await SystemSetting.getSettings();
+  return settings.defaultMaxConcurrentProfiles ?? null;
+};
+
+/**
+ * Active profiles (other than excludeProfileId) the worker holds at some
+ * point in [start, end] — permanent slots plus overlapping temporary
+ * assignments. end = null means open-ended (a permanent slot).
+ */
+const getWorkerLoad = (workerId, start, end = null, excludeProfileId = null) => {
+  const temporary = { worker: workerId, endDate: { $gt: start } };
+  if (end) temporary.startDate = { $lt: end };
+  return Profile.find({
+    _id:        { $ne: excludeProfileId },
+    archivedAt: null,
+    $or: [{ defaultWorker: workerId }, { secondWorker: workerId }, { temporaryAssignments: { $elemMatch: temporary } }],
+  }).select('fullName email').lean();
+};
+
+const getCapacityImpact = async (worker, start, end, profileId) => {
+  const [limit, load] = await Promise.all([getCapacityLimit(worker), getWorkerLoad(worker._id, start, end, profileId)]);
+  return {
+    limit,
+    current:  load.length,
+    after:    load.length + 1,
+    exceeded: limit != null && load.length + 1 > limit,
+    profiles: load.map((p) => ({ id: p._id, fullName: p.fullName, email: p.email })),
+  };
+};
+
+const assertCapacity = async (worker, profileId) => {
+  const capacity = await getCapacityImpact(worker, new Date(), null, profileId);
+  if (capacity.exceeded) {
+    throw new ApiError(`${worker.name} is already assigned to ${capacity.current} profile(s) (limit ${capacity.limit})`, 409);
+  }
+};
+
+/**
+ * Everything a reassignment would run into, without changing anything.
+ * Callers refuse the change while conflicts is non-empty; the preview
+ * endpoint just reports it.
+ *
+ * entriesOutsideWindow: the incoming worker's entries on this profile that
+ * no assignment period of theirs — past, current or the new one — covers.
+ */
+const evaluateReassignment = async (profile, worker, { permanent, slot, start, end }) => {
+  const workerId  = worker._id.toString();
+  const conflicts = [];
+
+  if (permanent) {
+    const field      = slot === 'second' ? 'secondWorker' : 'defaultWorker';
+    const otherField = slot === 'second' ? 'defaultWorker' : 'secondWorker';
+    if (profile[field]?.toString() === workerId) {
+      conflicts.push({ type: 'already_assigned', message: `${worker.name} already holds the ${slot} slot` });
+    } else if (profile[otherField]?.toString() === workerId) {
+      conflicts.push({ type: 'already_assigned', message: `${worker.name} already holds the other slot on this profile` });
+    }
+  } else {
+    if ([profile.defaultWorker, profile.secondWorker].some((w) => w?.toString() === workerId)) {
+      conflicts.push({ type: 'already_assigned', message: `${worker.name} is permanently assigned to this profile` });
+    }
+    profile.temporaryAssignments
+      .filter((a) => a.startDate < end && a.endDate > start)
+      .forEach((a) => conflicts.push({
+        type:         'overlap',
+        message:      'Overlaps an existing temporary assignment',
+        assignmentId: a._id,
+        worker:       a.worker,
+        startDate:    a.startDate,
+        endDate:      a.endDate,
+      }));
+  }
+
+  const capacity = await getCapacityImpact(worker, start, permanent ? null : end, profile._id);
+  if (capacity.exceeded) {
+    conflicts.push({ type: 'capacity', message: `${worker.name} would exceed their limit of ${capacity.limit} concurrent profile(s)` });
+  }
+
+  const [periods, entries] = await Promise.all([
+    AssignmentHistory.find({ profile: profile._id, worker: worker._id, cancelled: false }).select('startDate endDate').lean(),
+    Entry.find({ profile: profile._id, worker: worker._id }).select('date adminApproved').sort({ date: -1 }).lean(),
+  ]);
+  // Entries are dated by day, so compare windows from the start of their first day
+  const windows = [...periods, { startDate: start, endDate: permanent ? null : end }].map((p) => ({
+    from: new Date(new Date(p.startDate).setUTCHours(0, 0, 0, 0)),
+    to:   p.endDate ? new Date(p.endDate) : null,
+  }));
+  const outside = entries.filter((e) => !windows.some((w) => e.date >= w.from && (!w.to || e.date <= w.to)));
+
+  return {
+    conflicts,
+    capacity,
+    entriesOutsideWindow: {
+      count:   outside.length,
+      entries: outside.slice(0, 20).map((e) => ({ id: e._id, date: e.date, adminApproved: e.adminApproved })),
+    },
+  };
+};
+
+/**
+ * Add a temporary assignment to a profile and record it in the history.
+ * Run evaluateReassignment first — this does not check for conflicts.
+ * @returns the new Profile.temporaryAssignments subdocument
+ */
+const addTemporaryAssignment = async (profile, { worker, startDate, endDate, reason }, changedBy = null) => {
+  profile.temporaryAssignments.push({ worker, startDate, endDate, reason });
+  await profile.save();
+  const assignment = profile.temporaryAssignments[profile.temporaryAssignments.length - 1];
+  await AssignmentHistory.recordTemporary({ profile, assignment, changedBy });
+  return assignment;
+};
+
+module.exports = {
+  getCapacityLimit,
+  getWorkerLoad,
+  getCapacityImpact,
+  assertCapacity,
+  evaluateReassignment,
+  addTemporaryAssignment,
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect relying party — authorization code flow with PKCE.
+ *
+ * Environment:
+ *   OIDC_ISSUER              issuer URL; discovery is read from
+ *                            <issuer>/.well-known/openid-configuration
+ *   OIDC_CLIENT_ID           client registered with the provider
+ *   OIDC_CLIENT_SECRET       optional (public clients rely on PKCE alone)
+ *   OIDC_REDIRECT_URI        must point at GET /api/auth/oidc/callback
+ *   OIDC_SCOPES              default "openid email profile"
+ *   OIDC_PROVIDER_NAME       label for the login button, default "SSO"
+ *   OIDC_ROLE_CLAIM          claim holding groups/roles, dotted paths allowed
+ *                            (e.g. "groups" or "realm_access.roles")
+ *   OIDC_ROLE_MAP            JSON map of claim value → role,
+ *                            e.g. {"airhub-admins":"admin","staff":"user"}
+ *   OIDC_DEFAULT_ROLE        role when no claim value maps, default "user"
+ *   OIDC_POST_LOGIN_REDIRECT frontend URL the callback redirects to
+ *
+ * Any provider that serves discovery + JWKS works, including a local mock
+ * provider (plain http issuers are accepted) — `npm run oidc:mock` starts
+ * one (utils/oidcMockProvider.js) and `npm run check:oidc` runs the
+ * callback against it.
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ASSIGNABLE_ROLES = ['user', 'admin'];
+const ALLOWED_ALGS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+class OidcError extends Error {}
+
+const parseRoleMap = (raw) => {
+  if (!raw) return {};
+  try {
+    const map = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(map).filter(([, role]) => ASSIGNABLE_ROLES.includes(role)));
+  } catch (err) {
+    console.error('[OIDC] OIDC_ROLE_MAP is not valid JSON — ignoring it');
+    return {};
+  }
+};
+
+const getConfig = () => ({
+  issuer:            (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId:          process.env.OIDC_CLIENT_ID || '',
+  clientSecret:      process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri:       process.env.OIDC_REDIRECT_URI || '',
+  scopes:            process.env.OIDC_SCOPES || 'openid email profile',
+  providerName:      process.env.OIDC_PROVIDER_NAME || 'SSO',
+  roleClaim:         process.env.OIDC_ROLE_CLAIM || '',
+  roleMap:           parseRoleMap(process.env.OIDC_ROLE_MAP),
+  defaultRole:       ASSIGNABLE_ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'user',
+  postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT || '',
+});
+
+const isEnabled = () => {
+  const { issuer, clientId, redirectUri } = getConfig();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+  } catch (err) {
+    throw new OidcError(`Identity provider unreachable (${err.message})`);
+  }
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new OidcError(`Identity provider returned ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  if (!body) throw new OidcError('Identity provider returned an invalid response');
+  return body;
+};
+
+// ---------------------------------------------------------------------------
+// Discovery + JWKS (cached per issuer)
+// ---------------------------------------------------------------------------
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const discover = async () => {
+  const { issuer } = getConfig();
+  if (discoveryCache && discoveryCache.issuer === issuer && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL_MS) {
+    return discoveryCache.doc;
+  }
+
+  const doc = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if ((doc.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw new OidcError('Discovery document issuer does not match OIDC_ISSUER');
+  }
+  discoveryCache = { issuer, doc, fetchedAt: Date.now() };
+  return doc;
+};
+
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await discover();
+
+  const find = () => (jwksCache?.keys || []).find((k) => (kid ? k.kid === kid : true) && k.use !== 'enc');
+
+  let jwk = jwksCache && jwksCache.uri === jwksUri ? find() : null;
+  if (!jwk) {
+    // Unknown kid → the provider may have rotated keys; refetch once
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys };
+    jwk = find();
+  }
+  if (!jwk) throw new OidcError('No matching signing key published by the identity provider');
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// ---------------------------------------------------------------------------
+// Flow helpers
+// ---------------------------------------------------------------------------
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * PKCE verifier + S256 challenge (RFC 7636)
+ */
+const createPkcePair = () => {
+  const verifier  = randomToken();
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getConfig();
+  const { authorization_endpoint: endpoint } = await discover();
+
+  const url = new URL(endpoint);
+  url.search = new URLSearchParams({
+    response_type:         'code',
+    client_id:             config.clientId,
+    redirect_uri:          config.redirectUri,
+    scope:                 config.scopes,
+    state,
+    nonce,
+    code_challenge:        codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * Swap the authorization code for tokens. Confidential clients authenticate
+ * with client_secret_basic.
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getConfig();
+  const { token_endpoint: endpoint } = await discover();
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const params = new URLSearchParams({
+    grant_type:    'authorization_code',
+    code,
+    redirect_uri:  config.redirectUri,
+    code_verifier: codeVerifier,
+    client_id:     config.clientId,
+  });
+
+  if (config.clientSecret) {
+    const basic = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(endpoint, { method: 'POST', headers, body: params.toString() });
+  if (!tokens.id_token) throw new OidcError('Identity provider did not return an ID token');
+  return tokens;
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce.
+ * @returns {Promise<object>} the token's claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ALLOWED_ALGS.includes(decoded.header.alg)) {
+    throw new OidcError('ID token is malformed or uses an unsupported algorithm');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms:     [decoded.header.alg],
+      issuer:         config.issuer,
+      audience:       config.clientId,
+      clockTolerance: 60,
+    });
+  } catch (err) {
+    throw new OidcError(`ID token rejected: ${err.message}`);
+  }
+
+  if (claims.nonce !== nonce) throw new OidcError('ID token nonce mismatch');
+  return claims;
+};
+
+/**
+ * Fill in email/name from the userinfo endpoint when the ID token lacks them.
+ */
+const fetchUserInfo = async (accessToken) => {
+  const { userinfo_endpoint: endpoint } = await discover();
+  if (!endpoint || !accessToken) return {};
+  return fetchJson(endpoint, { headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' } });
+};
+
+const readClaim = (claims, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+/**
+ * Role for a new account, from OIDC_ROLE_CLAIM through OIDC_ROLE_MAP.
+ * The most privileged match wins; superadmin can never be granted this way.
+ */
+const mapRole = (claims) => {
+  const { roleClaim, roleMap, defaultRole } = getConfig();
+  if (!roleClaim) return defaultRole;
+
+  const raw = readClaim(claims, roleClaim);
+  const values = Array.isArray(raw) ? raw : raw != null ? [raw] : [];
+  const roles = values.map((v) => roleMap[String(v)]).filter(Boolean);
+
+  if (roles.includes('admin')) return 'admin';
+  if (roles.includes('user')) return 'user';
+  return defaultRole;
+};
+
+module.exports = {
+  OidcError,
+  getConfig,
+  isEnabled,
+  randomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  mapRole,
+};
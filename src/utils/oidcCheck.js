@@ -0,0 +1,140 @@
+/**
+ * End-to-end check of the SSO flow against the local mock provider
+ * Run with: npm run check:oidc   (needs MONGO_URI)
+ *
+ * Starts utils/oidcMockProvider.js and the auth routes on free ports, then
+ * drives /api/auth/oidc/login → provider /authorize → /api/auth/oidc/callback
+ * for a few users. Everything it creates is removed again; users are made
+ * with a unique example.test address so no real account is touched.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const authRoutes = require('../routes/authRoutes');
+const { errorHandler, notFound } = require('../middleware/errorHandler');
+const { startMockProvider } = require('./oidcMockProvider');
+
+const runId = Date.now().toString(36);
+const emailFor = (name) => `oidc-check-${runId}-${name}@example.test`;
+
+const startApi = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+    server.on('error', reject);
+  });
+};
+
+/**
+ * Walk the browser's part of the flow. Returns the callback's status and
+ * body plus the callback URL (to try replaying it).
+ */
+const signIn = async (api) => {
+  const login = await fetch(`${api}/api/auth/oidc/login`, { headers: { Accept: 'application/json' } });
+  const { data } = await login.json();
+  if (!data || !data.authorizationUrl) throw new Error(`/oidc/login returned ${login.status}`);
+
+  const authorize = await fetch(data.authorizationUrl, { redirect: 'manual' });
+  const callbackUrl = authorize.headers.get('location');
+  if (!callbackUrl) throw new Error(`Provider /authorize returned ${authorize.status} without a redirect`);
+
+  const callback = await fetch(callbackUrl, { headers: { Accept: 'application/json' } });
+  return { status: callback.status, body: await callback.json(), callbackUrl };
+};
+
+const results = [];
+const check = (name, ok, detail = '') => {
+  results.push(ok);
+  console.log(`${ok ? '✅' : '❌'} ${name}${!ok && detail ? ` — ${detail}` : ''}`);
+};
+
+const run = async () => {
+  const { server, url: api } = await startApi();
+  const provider = await startMockProvider();
+
+  process.env.OIDC_ISSUER       = provider.issuer;
+  process.env.OIDC_CLIENT_ID    = provider.clientId;
+  process.env.OIDC_REDIRECT_URI = `${api}/api/auth/oidc/callback`;
+  delete process.env.OIDC_CLIENT_SECRET;
+  delete process.env.OIDC_POST_LOGIN_REDIRECT;
+
+  const localUser = (name) => User.create({
+    name:       `OIDC check ${name}`,
+    email:      emailFor(name),
+    password:   `Check-${runId}-password`,
+    isApproved: true,
+    status:     'approved',
+  });
+
+  try {
+    // Existing approved account, verified email → linked and signed in
+    const linked = await localUser('linked');
+    provider.claims = { sub: `${runId}-linked`, email: linked.email, email_verified: true, name: linked.name };
+    const first = await signIn(api);
+    check('verified email links the existing account and signs in', first.status === 200 && Boolean(first.body.data?.token), JSON.stringify(first.body));
+    const stored = await User.findById(linked._id);
+    check('identity stored on the account', stored.oidcSubject === `${runId}-linked` && stored.oidcIssuer === provider.issuer);
+
+    const replay = await fetch(first.callbackUrl, { headers: { Accept: 'application/json' } });
+    check('callback cannot be replayed', replay.status === 400, `status ${replay.status}`);
+
+    // Same identity again → found by subject
+    const again = await signIn(api);
+    check('linked identity signs in again', again.status === 200, JSON.stringify(again.body));
+
+    // email_verified as a string, as some providers send it
+    const stringClaim = await localUser('string-claim');
+    provider.claims = { sub: `${runId}-string`, email: stringClaim.email, email_verified: 'true' };
+    const viaString = await signIn(api);
+    check('email_verified "true" (string) links too', viaString.status === 200, JSON.stringify(viaString.body));
+
+    // No email_verified claim → never linked
+    const unverified = await localUser('unverified');
+    provider.claims = { sub: `${runId}-unverified`, email: unverified.email };
+    const refused = await signIn(api);
+    const untouched = await User.findById(unverified._id);
+    check('missing email_verified is refused', refused.status === 403 && !untouched.oidcSubject, JSON.stringify(refused.body));
+
+    // Unknown email → new pending account
+    provider.claims = { sub: `${runId}-new`, email: emailFor('new'), email_verified: true, name: 'New SSO user' };
+    const pending = await signIn(api);
+    const created = await User.findOne({ email: emailFor('new') });
+    check('unknown email lands in pending approval', pending.status === 403 && created?.status === 'pending' && !created.isApproved, JSON.stringify(pending.body));
+  } finally {
+    const users = await User.find({ email: new RegExp(`^oidc-check-${runId}-`) }).select('_id');
+    const ids = users.map((u) => u._id);
+    await Promise.all([
+      Session.deleteMany({ user: { $in: ids } }),
+      LoginEvent.deleteMany({ $or: [{ user: { $in: ids } }, { email: new RegExp(`^oidc-check-${runId}-`) }] }),
+      User.deleteMany({ _id: { $in: ids } }),
+    ]);
+    await provider.close();
+    await new Promise((done) => server.close(done));
+  }
+};
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(run)
+  .then(async () => {
+    await mongoose.disconnect();
+    const failed = results.filter((ok) => !ok).length;
+    console.log(failed === 0 ? `\nAll ${results.length} SSO checks passed` : `\n${failed} of ${results.length} SSO checks failed`);
+    process.exit(failed === 0 ? 0 : 1);
+  })
+  .catch(async (error) => {
+    console.error('SSO check error:', error);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  });
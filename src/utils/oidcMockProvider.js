@@ -0,0 +1,173 @@
+/**
+ * Local mock OpenID Connect provider
+ * Run with: npm run oidc:mock
+ *
+ * Serves just enough of a real provider for the SSO flow in utils/oidc.js:
+ * discovery, JWKS, an authorize endpoint that signs the user in without a
+ * login page, a token endpoint that checks PKCE and issues RS256 ID tokens,
+ * and userinfo. Every run generates a new signing key. Not for production.
+ *
+ * Environment (standalone run):
+ *   OIDC_MOCK_PORT           default 4000
+ *   OIDC_CLIENT_ID           client it accepts, default "airhub-local"
+ *   OIDC_CLIENT_SECRET       required from the client when set
+ *   OIDC_MOCK_EMAIL          email of the signed-in user, default sso.user@example.com
+ *   OIDC_MOCK_GROUPS         comma-separated "groups" claim, default none
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+/**
+ * Start the provider. Resolves to { issuer, clientId, claims, close }.
+ * claims describes the signed-in user; reassign it between sign-ins to
+ * act as someone else.
+ */
+const startMockProvider = ({ port = 0, clientId = 'airhub-local', clientSecret = '', claims = {} } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const codes = new Map();
+  const accessTokens = new Map();
+  const provider = {
+    clientId,
+    claims: {
+      sub:            'mock-user-1',
+      email:          'sso.user@example.com',
+      email_verified: true,
+      name:           'SSO User',
+      ...claims,
+    },
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer:                                provider.issuer,
+      authorization_endpoint:                `${provider.issuer}/authorize`,
+      token_endpoint:                        `${provider.issuer}/token`,
+      userinfo_endpoint:                     `${provider.issuer}/userinfo`,
+      jwks_uri:                              `${provider.issuer}/jwks`,
+      response_types_supported:              ['code'],
+      subject_types_supported:               ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported:      ['S256'],
+      token_endpoint_auth_methods_supported: clientSecret ? ['client_secret_basic'] : ['none'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  // No login page — whoever provider.claims describes is signed in at once
+  app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+    if (client_id !== clientId) return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+    if (response_type !== 'code') return oauthError(res, 400, 'unsupported_response_type', 'Only the code flow is supported');
+    if (!redirect_uri) return oauthError(res, 400, 'invalid_request', 'redirect_uri is required');
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return oauthError(res, 400, 'invalid_request', 'PKCE with S256 is required');
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+      redirectUri:   redirect_uri,
+      codeChallenge: code_challenge,
+      nonce,
+      claims:        { ...provider.claims },
+      expiresAt:     Date.now() + CODE_TTL_MS,
+    });
+
+    const url = new URL(redirect_uri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+
+    if (clientSecret) {
+      const expected = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+      if (req.headers.authorization !== expected) return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    } else if (req.body.client_id !== clientId) {
+      return oauthError(res, 401, 'invalid_client', 'Unknown client_id');
+    }
+    if (grant_type !== 'authorization_code') return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+
+    // Codes are single use
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (!grant || grant.expiresAt < Date.now()) return oauthError(res, 400, 'invalid_grant', 'Code is invalid or expired');
+    if (grant.redirectUri !== redirect_uri) return oauthError(res, 400, 'invalid_grant', 'redirect_uri does not match');
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid:     kid,
+      issuer:    provider.issuer,
+      audience:  clientId,
+      expiresIn: TOKEN_TTL_SECONDS,
+    });
+    const accessToken = crypto.randomBytes(16).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    if (!claims) return oauthError(res, 401, 'invalid_token', 'Unknown access token');
+    res.json(claims);
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      provider.issuer = `http://127.0.0.1:${server.address().port}`;
+      provider.close = () => new Promise((done) => server.close(done));
+      resolve(provider);
+    });
+    server.on('error', reject);
+  });
+};
+
+module.exports = { startMockProvider };
+
+if (require.main === module) {
+  const groups = (process.env.OIDC_MOCK_GROUPS || '').split(',').map((g) => g.trim()).filter(Boolean);
+
+  startMockProvider({
+    port:         parseInt(process.env.OIDC_MOCK_PORT) || 4000,
+    clientId:     process.env.OIDC_CLIENT_ID || 'airhub-local',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    claims: {
+      ...(process.env.OIDC_MOCK_EMAIL && { email: process.env.OIDC_MOCK_EMAIL }),
+      ...(groups.length > 0 && { groups }),
+    },
+  }).then((provider) => {
+    console.log('========================================');
+    console.log(`Mock OIDC provider at ${provider.issuer}`);
+    console.log(`Signs everyone in as ${provider.claims.email}`);
+    console.log('Point the API at it with:');
+    console.log(`  OIDC_ISSUER=${provider.issuer}`);
+    console.log(`  OIDC_CLIENT_ID=${provider.clientId}`);
+    console.log('  OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback');
+    console.log('========================================');
+  }).catch((error) => {
+    console.error('Could not start the mock OIDC provider:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context that follows the async call chain, so code far from
+ * the Express handler (e.g. Mongoose hooks) can tell who is acting.
+ *
+ * Populated by middleware/audit.js for admin and superadmin requests.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with ctx as the current context.
+ */
+const run = (ctx, fn) => storage.run(ctx, fn);
+
+/**
+ * Current context, or undefined outside an audited request.
+ */
+const get = () => storage.getStore();
+
+module.exports = { run, get };
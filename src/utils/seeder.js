@@ -20,6 +20,7 @@ dotenv.config();
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Entry = require('../models/Entry');
+const DailyStat = require('../models/DailyStat');
 const Benchmark = require('../models/Benchmark');
 
 const connectDB = async () => {
@@ -39,6 +40,7 @@ const seedData = async () => {
     await User.deleteMany({});
     await Profile.deleteMany({});
     await Entry.deleteMany({});
+    await DailyStat.deleteMany({});
     await Benchmark.deleteMany({});
 
     console.log('Creating users...');
@@ -226,7 +228,8 @@ const seedData = async () => {
         date: entryDate,
         time,
         quality,
-        adminApproved: i > 7,  // Older entries are approved
+        status: i > 7 ? 'approved' : 'submitted',  // Older entries are approved
+        adminApproved: i > 7,
         adminTime: i > 7 ? time - (Math.random() * 0.5) : undefined,
         adminQuality: i > 7 ? quality - (Math.random() * 5) : undefined,
         approvedBy: i > 7 ? admin._id : undefined,
@@ -246,6 +249,7 @@ const seedData = async () => {
         date: entryDate,
         time: Math.round((7 + Math.random() * 3) * 100) / 100,
         quality: Math.round((75 + Math.random() * 25) * 100) / 100,
+        status: 'submitted',
         adminApproved: false,
       });
     }
@@ -258,6 +262,12 @@ const seedData = async () => {
     for (const profile of profiles) {
       await Profile.updatePerformanceStats(profile._id);
     }
+    // insertMany skips the Entry hooks, so build the daily buckets and rolling windows here
+    await DailyStat.rebuild();
+    await DailyStat.refreshRolling({
+      profileIds: profiles.map((p) => p._id),
+      workerIds:  users.map((u) => u._id),
+    });
 
     console.log('\n========================================');
     console.log('✅ Database seeding completed successfully!');
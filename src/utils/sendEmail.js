@@ -170,6 +170,16 @@ const sendEmail = async (options) => {
   return info;
 };
 
+/**
+ * Escape a user-controlled value for use in an email's HTML body
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Send welcome email to new user
  */
@@ -189,6 +199,81 @@ const sendWelcomeEmail = async (user) => {
   });
 };
 
+/**
+ * Send email address verification link
+ */
+const sendVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/auth/verify-email/${verificationToken}`;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'AIRhub - Please Verify Your Email (Valid for 24 hours)',
+    html: `
+      <h2>Verify your email, ${user.name}</h2>
+      <p>Please confirm that this is your email address so an administrator can approve your AIRhub account.</p>
+      <a href="${verifyUrl}" style="display: inline-block; padding: 12px 24px; background-color: #3377ff; color: white; text-decoration: none; border-radius: 8px; margin: 16px 0;">Verify Email</a>
+      <p>Or copy and paste this link in your browser:</p>
+      <p>${verifyUrl}</p>
+      <p><strong>This link will expire in 24 hours.</strong></p>
+      <p>If you didn't create an AIRhub account, please ignore this email.</p>
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Send invitation link to a new worker/admin
+ */
+const sendInvitationEmail = async (invitation, invitationToken, inviterName) => {
+  const acceptUrl = `${process.env.FRONTEND_URL}/auth/accept-invitation/${invitationToken}`;
+
+  await sendEmail({
+    email: invitation.email,
+    subject: "You're invited to join AIRhub (Valid for 7 days)",
+    html: `
+      <h2>Hello${invitation.name ? ` ${escapeHtml(invitation.name)}` : ''},</h2>
+      <p>${inviterName ? escapeHtml(inviterName) : 'An administrator'} has invited you to join AIRhub - AI Remote Hub${invitation.role === 'admin' ? ' as an administrator' : ''}.</p>
+      <p>Click the button below to set your password and activate your account:</p>
+      <a href="${acceptUrl}" style="display: inline-block; padding: 12px 24px; background-color: #3377ff; color: white; text-decoration: none; border-radius: 8px; margin: 16px 0;">Accept Invitation</a>
+      <p>Or copy and paste this link in your browser:</p>
+      <p>${acceptUrl}</p>
+      <p><strong>This link can only be used once and will expire in 7 days.</strong></p>
+      <p>If you weren't expecting this invitation, you can ignore this email.</p>
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Warn a user about a sign-in from a device they haven't used before
+ */
+const sendNewDeviceLoginEmail = async (user, { ip, userAgent, at }) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/auth/forgot-password`;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'AIRhub - New sign-in to your account',
+    html: `
+      <h2>New sign-in detected</h2>
+      <p>Hello ${escapeHtml(user.name)},</p>
+      <p>Your AIRhub account was just signed in to from a device we haven't seen before:</p>
+      <p><strong>Time:</strong> ${at.toUTCString()}<br>
+         <strong>IP address:</strong> ${escapeHtml(ip || 'unknown')}<br>
+         <strong>Device:</strong> ${escapeHtml(userAgent || 'unknown')}</p>
+      <p>If this was you, you can ignore this email.</p>
+      <p>If it wasn't, reset your password immediately and sign out of all sessions:</p>
+      <a href="${resetUrl}" style="display: inline-block; padding: 12px 24px; background-color: #3377ff; color: white; text-decoration: none; border-radius: 8px; margin: 16px 0;">Reset Password</a>
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
 /**
  * Send approval notification email
  */
@@ -229,7 +314,170 @@ const sendRejectionEmail = async (user, reason = null) => {
   });
 };
 
+/**
+ * Coverage request updates (see models/CoverageRequest.js).
+ * request must have profile, requester and coveringWorker populated.
+ * event: created | accepted | approved | rejected | cancelled | expired
+ */
+const COVERAGE_MESSAGES = {
+  created:   (r) => `${escapeHtml(r.requester.name)} is looking for someone to cover <strong>${escapeHtml(r.profile.fullName)}</strong>.`,
+  accepted:  (r) => `${escapeHtml(r.coveringWorker.name)} has offered to cover <strong>${escapeHtml(r.profile.fullName)}</strong> for ${escapeHtml(r.requester.name)}. It is waiting for admin approval.`,
+  approved:  (r) => `${escapeHtml(r.coveringWorker.name)} will cover <strong>${escapeHtml(r.profile.fullName)}</strong> for ${escapeHtml(r.requester.name)}. The assignment has been added.`,
+  rejected:  (r) => `The coverage request for <strong>${escapeHtml(r.profile.fullName)}</strong> was not approved.`,
+  cancelled: (r) => `${escapeHtml(r.requester.name)} withdrew the coverage request for <strong>${escapeHtml(r.profile.fullName)}</strong>.`,
+  expired:   (r) => `The coverage request for <strong>${escapeHtml(r.profile.fullName)}</strong> expired before it was approved.`,
+};
+
+const sendCoverageEmail = async (recipient, request, event) => {
+  const formatDate = (d) => new Date(d).toUTCString().slice(0, 16);
+
+  await sendEmail({
+    email: recipient.email,
+    subject: `AIRhub - Coverage request ${event}: ${request.profile.fullName}`,
+    html: `
+      <h2>Hello ${escapeHtml(recipient.name)},</h2>
+      <p>${COVERAGE_MESSAGES[event](request)}</p>
+      <p><strong>From:</strong> ${formatDate(request.startDate)}<br>
+         <strong>To:</strong> ${formatDate(request.endDate)}</p>
+      ${request.reason ? `<p><strong>Reason:</strong> ${escapeHtml(request.reason)}</p>` : ''}
+      ${event === 'rejected' && request.reviewNote ? `<p><strong>Note from the admin:</strong> ${escapeHtml(request.reviewNote)}</p>` : ''}
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Remind a covering worker that their temporary assignment ends soon
+ */
+const sendAssignmentEndingEmail = async (worker, profile, assignment) => {
+  await sendEmail({
+    email: worker.email,
+    subject: `AIRhub - Your cover on ${profile.fullName} ends tomorrow`,
+    html: `
+      <h2>Hello ${escapeHtml(worker.name)},</h2>
+      <p>Your temporary assignment on <strong>${escapeHtml(profile.fullName)}</strong> ends on ${assignment.endDate.toUTCString()}.</p>
+      <p>Please submit any outstanding entries for this profile before then — you will not be able to log work on it afterwards.</p>
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Tell an admin which profiles are about to be left without any worker
+ * @param {Array<{ profile, endDate, worker }>} lapses
+ */
+const sendUnstaffedProfilesEmail = async (admin, lapses) => {
+  const rows = lapses
+    .map(({ profile, endDate, worker }) => `<li><strong>${escapeHtml(profile.fullName)}</strong> — ${worker ? `${escapeHtml(worker.name)}'s` : 'the'} cover ends ${endDate.toUTCString()}</li>`)
+    .join('');
+
+  await sendEmail({
+    email: admin.email,
+    subject: `AIRhub - ${lapses.length} profile(s) will have no worker`,
+    html: `
+      <h2>Hello ${escapeHtml(admin.name)},</h2>
+      <p>When these temporary assignments end, the profiles below will have no active worker:</p>
+      <ul>${rows}</ul>
+      <p>Assign a worker before then to avoid a gap in coverage.</p>
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Tell an admin which profiles have just become at risk
+ * @param {Array<{ profile, health: { score, reasons } }>} items
+ */
+const sendProfileHealthAlertEmail = async (admin, items) => {
+  const rows = items
+    .map(({ profile, health }) => `<li><strong>${escapeHtml(profile.fullName)}</strong> (score ${health.score}) — ${escapeHtml(health.reasons.join('; '))}</li>`)
+    .join('');
+
+  await sendEmail({
+    email: admin.email,
+    subject: `AIRhub - ${items.length} profile(s) at risk`,
+    html: `
+      <h2>Hello ${escapeHtml(admin.name)},</h2>
+      <p>These profiles have just dropped into the at-risk range:</p>
+      <ul>${rows}</ul>
+      <p>See the at-risk list in the admin dashboard for details.</p>
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Tell a worker an entry was rejected or sent back for changes
+ */
+const sendEntryReviewEmail = async (worker, entry, profile) => {
+  const date = new Date(entry.date).toUTCString().slice(0, 16);
+  const needsChanges = entry.status === 'needs_changes';
+
+  await sendEmail({
+    email: worker.email,
+    subject: `AIRhub - Entry ${needsChanges ? 'needs changes' : 'rejected'}: ${profile.fullName}, ${date}`,
+    html: `
+      <h2>Hello ${escapeHtml(worker.name)},</h2>
+      <p>Your entry for <strong>${escapeHtml(profile.fullName)}</strong> on ${date} was ${needsChanges ? 'sent back for changes' : 'rejected'}.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(entry.reviewReason)}</p>
+      ${needsChanges ? '<p>Please correct it and resubmit it from your entries page.</p>' : ''}
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
+/**
+ * Entry dispute updates (see models/EntryDispute.js).
+ * dispute must have worker, profile and entry populated.
+ * event: opened | message | resolved
+ */
+const DISPUTE_MESSAGES = {
+  opened:   (d) => `${escapeHtml(d.worker.name)} is disputing the vetted values on their <strong>${escapeHtml(d.profile.fullName)}</strong> entry.`,
+  message:  (d) => `There is a new reply on the dispute about the <strong>${escapeHtml(d.profile.fullName)}</strong> entry.`,
+  resolved: (d) => `The dispute about the <strong>${escapeHtml(d.profile.fullName)}</strong> entry has been resolved${d.paymentUpdate === 'recalculated' ? ' and the weekly payment recalculated' : ''}.`,
+};
+
+const sendDisputeEmail = async (recipient, dispute, event) => {
+  const date = new Date(dispute.entry.date).toUTCString().slice(0, 16);
+  const values = (v) => `${v.time ?? '—'} h, quality ${v.quality ?? '—'}`;
+
+  await sendEmail({
+    email: recipient.email,
+    subject: `AIRhub - Entry dispute ${event}: ${dispute.profile.fullName}, ${date}`,
+    html: `
+      <h2>Hello ${escapeHtml(recipient.name)},</h2>
+      <p>${DISPUTE_MESSAGES[event](dispute)}</p>
+      <p><strong>Logged:</strong> ${values(dispute.workerValues)}<br>
+         <strong>Vetted:</strong> ${values(dispute.adminValues)}
+         ${event === 'resolved' && dispute.resolvedValues ? `<br><strong>Now counted:</strong> ${values(dispute.resolvedValues)}` : ''}</p>
+      ${event === 'resolved' && dispute.resolutionNote ? `<p><strong>Note from the admin:</strong> ${escapeHtml(dispute.resolutionNote)}</p>` : ''}
+      <br>
+      <p>Best regards,</p>
+      <p>The AIRhub Team</p>
+    `,
+  });
+};
+
 module.exports = sendEmail;
 module.exports.sendWelcomeEmail = sendWelcomeEmail;
 module.exports.sendApprovalEmail = sendApprovalEmail;
-module.exports.sendRejectionEmail = sendRejectionEmail;
\ No newline at end of file
+module.exports.sendRejectionEmail = sendRejectionEmail;
+module.exports.sendVerificationEmail = sendVerificationEmail;
+module.exports.sendInvitationEmail = sendInvitationEmail;
+module.exports.sendNewDeviceLoginEmail = sendNewDeviceLoginEmail;
+module.exports.sendCoverageEmail = sendCoverageEmail;
+module.exports.sendAssignmentEndingEmail = sendAssignmentEndingEmail;
+module.exports.sendUnstaffedProfilesEmail = sendUnstaffedProfilesEmail;
+module.exports.sendProfileHealthAlertEmail = sendProfileHealthAlertEmail;
+module.exports.sendEntryReviewEmail = sendEntryReviewEmail;
+module.exports.sendDisputeEmail = sendDisputeEmail;
@@ -0,0 +1,46 @@
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Cloudinary storage driver. Configured from CLOUDINARY_CLOUD_NAME,
+ * CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET. Files get a public https
+ * URL, so downloads redirect there instead of streaming through the API.
+ *
+ * Images and PDFs are stored as "image" resources (Cloudinary can render
+ * and resize them); anything else as "raw".
+ */
+let configured = false;
+const configure = () => {
+  if (configured) return;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key:    process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+  configured = true;
+};
+
+const isConfigured = () => Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+const resourceTypeFor = (mimeType) =>
+  mimeType.startsWith('image/') || mimeType === 'application/pdf' ? 'image' : 'raw';
+
+/**
+ * @returns {Promise<{ key, url }>} key is the Cloudinary public_id
+ */
+const put = ({ buffer, folder, mimeType }) => {
+  configure();
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: `airhub-${folder}`, resource_type: resourceTypeFor(mimeType), type: 'upload' },
+      (err, result) => (err ? reject(err) : resolve({ key: result.public_id, url: result.secure_url }))
+    );
+    stream.end(buffer);
+  });
+};
+
+const remove = async ({ key, mimeType }) => {
+  configure();
+  await cloudinary.uploader.destroy(key, { resource_type: resourceTypeFor(mimeType), invalidate: true });
+};
+
+module.exports = { name: 'cloudinary', isConfigured, put, remove, open: null };
@@ -0,0 +1,37 @@
+const localDriver = require('./localDriver');
+const cloudinaryDriver = require('./cloudinaryDriver');
+
+/**
+ * File storage behind one interface, so callers never touch a provider SDK.
+ *
+ * Environment:
+ *   STORAGE_DRIVER     "local" or "cloudinary". Defaults to cloudinary when
+ *                      its credentials are set, local otherwise.
+ *   STORAGE_LOCAL_DIR  root folder for the local driver (default ./uploads)
+ *
+ * Every driver implements
+ *   put({ buffer, folder, mimeType, extension }) → { key, url }
+ *   remove({ key, mimeType })
+ *   open({ key }) → readable stream, or open: null when files have a public url
+ *
+ * Stored records keep the driver name next to the key, so files written
+ * before a driver switch stay readable and deletable.
+ */
+const DRIVERS = { local: localDriver, cloudinary: cloudinaryDriver };
+
+const defaultDriverName = () => {
+  const name = process.env.STORAGE_DRIVER;
+  if (name) return name;
+  return cloudinaryDriver.isConfigured() ? 'cloudinary' : 'local';
+};
+
+/**
+ * Driver by name (as stored on a record), or the configured default
+ */
+const getDriver = (name = defaultDriverName()) => {
+  const driver = DRIVERS[name];
+  if (!driver) throw new Error(`Unknown storage driver "${name}"`);
+  return driver;
+};
+
+module.exports = { getDriver };
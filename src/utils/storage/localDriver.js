@@ -0,0 +1,53 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local-disk storage driver. Files live under STORAGE_LOCAL_DIR (default
+ * ./uploads) and are served through the API, never statically, so access
+ * checks always apply. Not suitable for serverless deploys, where the disk
+ * is not persistent — use the cloudinary driver there.
+ */
+const getRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+
+// Resolve a key to a path, refusing anything that escapes the root
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+  return filePath;
+};
+
+/**
+ * @returns {Promise<{ key, url }>} url is null — download through the API
+ */
+const put = async ({ buffer, folder, extension = '' }) => {
+  const now = new Date();
+  const month = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const key = `${folder}/${month}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+
+  const filePath = resolveKey(key);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(filePath, buffer, { flag: 'wx' });
+  return { key, url: null };
+};
+
+const remove = async ({ key }) => {
+  try {
+    await fsp.unlink(resolveKey(key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+/**
+ * Readable stream of a stored file
+ */
+const open = async ({ key }) => {
+  const filePath = resolveKey(key);
+  await fsp.access(filePath);
+  return fs.createReadStream(filePath);
+};
+
+module.exports = { name: 'local', put, remove, open };
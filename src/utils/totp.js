@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal RFC 6238 TOTP implementation (SHA-1, 6 digits, 30s step) —
+ * the defaults every authenticator app (Google Authenticator, Authy, 1Password)
+ * expects when scanning an otpauth:// URI.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 secret (160 bits).
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a given time counter.
+ */
+const generateCode = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Find the time-step a user-supplied code belongs to, allowing ±window steps
+ * of clock drift. Returns the matching counter, or null if the code is wrong.
+ * @param {string} code   - 6-digit code from the authenticator app
+ * @param {string} secret - base32 secret
+ * @param {number} [window=1]
+ */
+const matchCode = (code, secret, window = 1) => {
+  if (!code || !secret) return null;
+  const normalised = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalised)) return null;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let i = -window; i <= window; i++) {
+    const expected = generateCode(secret, counter + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalised))) return counter + i;
+  }
+  return null;
+};
+
+/**
+ * Verify a user-supplied code. Does not prevent replays — use
+ * User#useTotpCode for anything that authenticates.
+ */
+const verifyCode = (code, secret, window = 1) => matchCode(code, secret, window) !== null;
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code.
+ */
+const buildOtpAuthUrl = ({ secret, label, issuer = 'AIRhub' }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  matchCode,
+  verifyCode,
+  buildOtpAuthUrl,
+};
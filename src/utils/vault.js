@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for secrets we must be able to read back
+ * (client Profile logins — see Profile.setCredentials).
+ *
+ * Each payload is encrypted with its own random data key (AES-256-GCM);
+ * the data key is in turn encrypted ("wrapped") with the master key from
+ * CREDENTIAL_MASTER_KEY (32 bytes, base64 or hex). Only wrapped keys and
+ * ciphertext are stored. keyId records which master key wrapped the data key
+ * so a wrong or rotated env key fails with a clear error.
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+const getMasterKey = () => {
+  const raw = process.env.CREDENTIAL_MASTER_KEY || '';
+  if (!raw) return null;
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CREDENTIAL_MASTER_KEY must be 32 bytes (64 hex chars or base64)');
+  }
+  return key;
+};
+
+const keyIdFor = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+const isConfigured = () => {
+  try {
+    return Boolean(getMasterKey());
+  } catch (err) {
+    return false;
+  }
+};
+
+const encrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+const decrypt = (key, { iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+};
+
+/**
+ * Encrypt a JSON-serialisable value under a fresh data key.
+ * @returns {{ keyId, wrappedKey, payload }}
+ */
+const seal = (value) => {
+  const masterKey = getMasterKey();
+  if (!masterKey) throw new Error('CREDENTIAL_MASTER_KEY is not set');
+
+  const dataKey = crypto.randomBytes(32);
+  try {
+    return {
+      keyId:      keyIdFor(masterKey),
+      wrappedKey: encrypt(masterKey, dataKey),
+      payload:    encrypt(dataKey, Buffer.from(JSON.stringify(value), 'utf8')),
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Decrypt an envelope produced by seal().
+ */
+const open = (envelope) => {
+  const masterKey = getMasterKey();
+  if (!masterKey) throw new Error('CREDENTIAL_MASTER_KEY is not set');
+  if (envelope.keyId !== keyIdFor(masterKey)) {
+    throw new Error('Credentials were sealed with a different master key');
+  }
+
+  const dataKey = decrypt(masterKey, envelope.wrappedKey);
+  try {
+    return JSON.parse(decrypt(dataKey, envelope.payload).toString('utf8'));
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+module.exports = { isConfigured, seal, open };